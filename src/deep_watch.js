@@ -0,0 +1,142 @@
+/* @flow */
+import _ from 'lodash';
+
+export type DeepWatchOptions = {
+  maxDepth?: number,
+  ignoreKey?: (key: string, value: any) => boolean
+};
+
+type CopyState = {
+  copies: Map<Object, any>,
+  cycles: number
+};
+
+function isOpaque(value: Object): boolean {
+  return !!(value.window === value || (value.nodeName && value.nodeType));
+}
+
+// Arrays, plain objects and Maps are compared and copied entry by entry. Set members
+// and Map keys are kept as references, typed arrays are compared element-wise, and
+// RegExps by their source and flags.
+function kindOf(value: Object): string {
+  if (_.isArray(value)) {
+    return 'array';
+  }
+  if (_.isMap(value)) {
+    return 'map';
+  }
+  if (_.isSet(value)) {
+    return 'set';
+  }
+  return _.isTypedArray(value) ? Object.prototype.toString.call(value) : 'object';
+}
+
+function hasEntry(container: Object, key: any): boolean {
+  return _.isMap(container) ? container.has(key) : container.hasOwnProperty(key);
+}
+
+function entryOf(container: Object, key: any): any {
+  return _.isMap(container) ? container.get(key) : container[key];
+}
+
+function sameMembers(value: Set<any>, snapshot: Set<any>): boolean {
+  return value.size === snapshot.size && _.every(Array.from(value), member => snapshot.has(member));
+}
+
+function createDeepComparator(options?: DeepWatchOptions = {}) {
+  const maxDepth: number = options.maxDepth != null ? options.maxDepth : Infinity;
+  const ignoreKey = options.ignoreKey || _.constant(false);
+
+  const keysOf = (value: Object): string[] =>
+    _.filter(_.keys(value), key => !ignoreKey(key, value[key]));
+
+  const entriesOf = (value: Object): Array<[any, any]> =>
+    _.isMap(value) ? Array.from(value) : _.map(keysOf(value), key => [key, value[key]]);
+
+  const sizeOf = (value: Object): number =>
+    _.isMap(value) ? value.size : _.keys(value).length;
+
+  const isReference = (value: any, depth: number): boolean =>
+    !_.isObject(value) || _.isFunction(value) || depth >= maxDepth || isOpaque(value);
+
+  const equalsAt = (value: any, snapshot: any, depth: number, seen: Map<Object, any>): boolean => {
+    if (value === snapshot || (_.isNaN(value) && _.isNaN(snapshot))) {
+      return true;
+    }
+    if (isReference(value, depth) || !_.isObject(snapshot)) {
+      return false;
+    }
+    if (_.isDate(value) || _.isDate(snapshot)) {
+      return _.isDate(value) && _.isDate(snapshot) && value.getTime() === snapshot.getTime();
+    }
+    if (_.isRegExp(value) || _.isRegExp(snapshot)) {
+      return _.isRegExp(value) && _.isRegExp(snapshot) && value.toString() === snapshot.toString();
+    }
+    const kind = kindOf(value);
+    if (kind !== kindOf(snapshot)) {
+      return false;
+    }
+    if (kind === 'set') {
+      return sameMembers(value, snapshot);
+    }
+    if (_.isTypedArray(value)) {
+      return _.isEqual(value, snapshot);
+    }
+    if (seen.has(value)) {
+      return seen.get(value) === snapshot;
+    }
+    seen.set(value, snapshot);
+    const entries = entriesOf(value);
+    return entries.length === sizeOf(snapshot) &&
+      _.every(entries, ([key, item]) =>
+        hasEntry(snapshot, key) && equalsAt(item, entryOf(snapshot, key), depth + 1, seen));
+  };
+
+  const copyAt = (value: any, previous: any, depth: number, state: CopyState): any => {
+    if (isReference(value, depth) || _.isRegExp(value)) {
+      return value;
+    }
+    if (_.isDate(value)) {
+      return _.isDate(previous) && previous.getTime() === value.getTime() ? previous : new Date(value.getTime());
+    }
+    if (_.isSet(value)) {
+      return _.isSet(previous) && sameMembers(value, previous) ? previous : new Set(value);
+    }
+    if (_.isTypedArray(value)) {
+      return kindOf(previous) === kindOf(value) && _.isEqual(value, previous) ? previous : new value.constructor(value);
+    }
+    if (state.copies.has(value)) {
+      state.cycles++;
+      return state.copies.get(value);
+    }
+    const kind = kindOf(value);
+    const copy: any = kind === 'map' ? new Map() : kind === 'array' ? [] : {};
+    state.copies.set(value, copy);
+    const cycles = state.cycles;
+    const entries = entriesOf(value);
+    const sameShape = _.isObject(previous) && kindOf(previous) === kind && sizeOf(previous) === entries.length;
+    let shared = sameShape;
+    _.each(entries, ([key, item]) => {
+      const previousItem = _.isObject(previous) && hasEntry(previous, key) ? entryOf(previous, key) : undefined;
+      const itemCopy = copyAt(item, previousItem, depth + 1, state);
+      if (kind === 'map') {
+        copy.set(key, itemCopy);
+      } else {
+        copy[key] = itemCopy;
+      }
+      shared = shared && hasEntry(previous, key) && itemCopy === previousItem;
+    });
+    if (shared && cycles === state.cycles) {
+      state.copies.set(value, previous);
+      return previous;
+    }
+    return copy;
+  };
+
+  return {
+    equals: (value: any, snapshot: any): boolean => equalsAt(value, snapshot, 0, new Map()),
+    copy: (value: any, previous: any): any => copyAt(value, previous, 0, { copies: new Map(), cycles: 0 })
+  };
+}
+
+export { createDeepComparator };
@@ -0,0 +1,131 @@
+/* @flow */
+import _ from 'lodash';
+import { isFrozenProperty } from './tracking';
+
+type JournalEntry = {
+  target: Object,
+  key: any,
+  descriptor: ?Object
+};
+
+export type Journal = {
+  target: Object,
+  rollback: () => void,
+  journaled: boolean
+};
+
+function isJournaled(value: any): boolean {
+  return _.isArray(value) || (_.isPlainObject(value) && !_.isFunction(value[Symbol.iterator]));
+}
+
+function isPublicKey(key: string): boolean {
+  return key.charAt(0) !== '$';
+}
+
+function isSameDescriptor(current: ?Object, descriptor: Object): boolean {
+  return !!current && _.size(current) === _.size(descriptor) &&
+    _.every(descriptor, (field, name) => current[name] === field);
+}
+
+function restore(target: Object, key: any, descriptor: ?Object) {
+  if (!descriptor) {
+    delete target[key];
+  } else if (descriptor.writable && Object.prototype.hasOwnProperty.call(target, key)) {
+    target[key] = descriptor.value;
+  } else {
+    Object.defineProperty(target, key, descriptor);
+  }
+}
+
+// Without Proxy support writes cannot be seen, so the root's own properties are
+// snapshotted up front instead and all of them are restored. Writes made by other code
+// meanwhile are undone too, so this is only safe while nothing else can run.
+function snapshotJournal(root: Object): Journal {
+  let snapshot: ?Map<string, Object> = new Map(_.map(
+    _.filter(Object.getOwnPropertyNames(root), isPublicKey),
+    key => [key, Object.getOwnPropertyDescriptor(root, key)]));
+
+  const rollback = () => {
+    const descriptors = snapshot;
+    snapshot = null;
+    if (!descriptors) {
+      return;
+    }
+    _.each(_.filter(Object.getOwnPropertyNames(root), isPublicKey), key => {
+      if (!descriptors.has(key)) {
+        delete root[key];
+      }
+    });
+    descriptors.forEach((descriptor, key) => {
+      if (!isSameDescriptor(Object.getOwnPropertyDescriptor(root, key), descriptor)) {
+        restore(root, key, descriptor);
+      }
+    });
+  };
+
+  return { target: root, rollback, journaled: false };
+}
+
+// Records the original value of every property written through the returned proxy,
+// including properties of plain objects and arrays read through it, so that all of
+// the writes can be undone. `$` prefixed properties are returned as they are. Writes
+// made other than through the proxy are neither recorded nor undone.
+function createJournal(root: Object): Journal {
+  if (typeof Proxy !== 'function') {
+    return snapshotJournal(root);
+  }
+  const entries: JournalEntry[] = [];
+  const written: Map<Object, Set<any>> = new Map();
+  const proxies: WeakMap<Object, Object> = new WeakMap();
+
+  const record = (target: Object, key: any) => {
+    let keys = written.get(target);
+    if (!keys) {
+      keys = new Set();
+      written.set(target, keys);
+    }
+    if (!keys.has(key)) {
+      keys.add(key);
+      entries.push({ target, key, descriptor: Object.getOwnPropertyDescriptor(target, key) });
+    }
+  };
+
+  const handler = {
+    get(target: Object, key: any, receiver: any): any {
+      const value = Reflect.get(target, key, receiver);
+      if ((_.isString(key) && key.charAt(0) === '$') || !isJournaled(value) || isFrozenProperty(target, key)) {
+        return value;
+      }
+      return wrap(value);
+    },
+    defineProperty(target: Object, key: any, descriptor: Object): boolean {
+      record(target, key);
+      return Reflect.defineProperty(target, key, descriptor);
+    },
+    deleteProperty(target: Object, key: any): boolean {
+      record(target, key);
+      return Reflect.deleteProperty(target, key);
+    }
+  };
+
+  const wrap = (target: Object): Object => {
+    let proxy = proxies.get(target);
+    if (!proxy) {
+      proxy = new Proxy(target, handler);
+      proxies.set(target, proxy);
+    }
+    return proxy;
+  };
+
+  // Writable properties are restored by assignment so that observing proxies notice.
+  const rollback = () => {
+    _.eachRight(entries.splice(0), ({ target, key, descriptor }) => {
+      restore(target, key, descriptor);
+    });
+    written.clear();
+  };
+
+  return { target: wrap(root), rollback, journaled: true };
+}
+
+export { createJournal };
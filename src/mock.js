@@ -0,0 +1,51 @@
+/* @flow */
+import _ from 'lodash';
+import Scope from './scope';
+import { createScheduler } from './scheduler';
+import { stringifyExp } from './stringify';
+import type { ManualScheduler } from './scheduler'; // eslint-disable-line
+
+class ScopeMock {
+  scope: Scope;
+  clock: ManualScheduler = (createScheduler('manual'): any);
+
+  constructor(scope: Scope) {
+    this.scope = scope.$root;
+    if (this.scope.$$evalAsyncId !== null || this.scope.$$applyAsyncId !== null) {
+      throw new Error('Cannot install a mock clock on a scope with pending tasks');
+    }
+    this.scope.$$scheduler = this.clock;
+  }
+
+  flush(): number {
+    return this.clock.drain();
+  }
+
+  flushApplyAsync() {
+    if (this.scope.$$applyAsyncId !== null) {
+      this.scope.$digest();
+    }
+  }
+
+  pendingTasks(): string[] {
+    const asyncTasks = _.map(this.scope.$$asyncQueue, task => `$evalAsync: ${stringifyExp(task.expression)}`);
+    const applyAsyncTasks = _.map(this.scope.$$applyAsyncQueue, task => `$applyAsync: ${stringifyExp(task.expression)}`);
+    const scheduled = this.clock.pending() -
+      (this.scope.$$evalAsyncId !== null ? 1 : 0) -
+      (this.scope.$$applyAsyncId !== null ? 1 : 0);
+    return asyncTasks.concat(applyAsyncTasks, _.times(scheduled, _.constant('scheduled task')));
+  }
+
+  verifyNoPendingTasks() {
+    const pending = this.pendingTasks();
+    if (pending.length) {
+      throw new Error(`There are ${pending.length} pending tasks:\n  ${pending.join('\n  ')}`);
+    }
+  }
+}
+
+function mockScope(scope?: Scope = new Scope()): ScopeMock {
+  return new ScopeMock(scope);
+}
+
+export { ScopeMock, mockScope };
@@ -758,6 +758,7 @@ type ASTCompilerState = {
   filters: { [k: string]: string },
   computing: string,
   inputs: string[],
+  calls: { main: boolean, inputs: boolean, assign: boolean },
   stage: 'main' | 'inputs' | 'assign'
 };
 
@@ -782,6 +783,7 @@ class ASTCompiler {
       filters: {},
       functions: { fn: { body: [], vars: [] }, assign: { body: [], vars: [] } },
       inputs: [],
+      calls: { main: false, inputs: false, assign: false },
       computing: 'fn',
       stage: 'main'
     };
@@ -838,6 +840,8 @@ class ASTCompiler {
     /* eslint-enable no-new-func */
     (fn: any).literal = AST.isLiteral(ast);
     (fn: any).constant = ast.constant;
+    (fn: any).calls = this.state.calls.main;
+    (fn: any).inputCalls = this.state.calls.inputs;
     return (fn: any);
   }
 
@@ -973,6 +977,7 @@ class ASTCompiler {
       }
       return varId;
     } else if (ast instanceof ASTCallExpressionNode) {
+      this.state.calls[this.state.stage] = true;
       const callContext: CallContext = {};
       let callee = this.recurse(ast.callee, callContext);
       const args = _.map(ast.arguments,
@@ -988,6 +993,9 @@ class ASTCompiler {
       this.addEnsureSafeFunction(callee);
       return `${callee} && ensureSafeObject(${callee}(${args.join(',')}))`;
     } else if (ast instanceof ASTFilterExpressionNode) {
+      if (filter(ast.callee.name).$stateful) {
+        this.state.calls[this.state.stage] = true;
+      }
       const callee = this.filter(ast.callee.name);
       const args = _.map(ast.arguments, arg => this.recurse(arg));
       return `${callee}(${args})`;
@@ -1118,6 +1126,8 @@ export interface ParsedFunction {
   literal?: boolean,
   constant?: boolean,
   oneTime?: boolean,
+  calls?: boolean,
+  inputCalls?: boolean,
   inputs?: Function[],
   assign: Function
 }
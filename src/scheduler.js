@@ -0,0 +1,177 @@
+/* @flow */
+import _ from 'lodash';
+
+export interface Scheduler {
+  schedule(fn: AnyFunction, delay?: number): any;
+  cancel(task: any): void;
+}
+
+export interface ManualScheduler extends Scheduler {
+  flush(): number;
+  tick(ms: number): number;
+  drain(limit?: number): number;
+  now(): number;
+  pending(): number;
+}
+
+export type SchedulerStrategy = 'macrotask' | 'microtask' | 'frame' | 'manual';
+
+type Task = {
+  fn: AnyFunction,
+  cancelled: boolean,
+  timeoutId?: any,
+  time?: number
+};
+
+function macrotask(): Scheduler {
+  return {
+    schedule: (fn, delay = 0) => setTimeout(fn, delay),
+    cancel: id => { clearTimeout(id); }
+  };
+}
+
+function microtask(): Scheduler {
+  return {
+    schedule(fn: AnyFunction, delay?: number = 0): Task {
+      const task: Task = { fn, cancelled: false };
+      const run = () => {
+        if (!task.cancelled) {
+          task.fn();
+        }
+      };
+      if (delay > 0) {
+        task.timeoutId = setTimeout(run, delay);
+      } else {
+        Promise.resolve().then(run);
+      }
+      return task;
+    },
+    cancel(task: Task) {
+      task.cancelled = true;
+      clearTimeout(task.timeoutId);
+    }
+  };
+}
+
+function frame(): Scheduler {
+  const hasAnimationFrame = typeof requestAnimationFrame === 'function';
+  const requestFrame = hasAnimationFrame ? requestAnimationFrame : fn => setTimeout(fn, 16);
+  const cancelFrame = hasAnimationFrame ? cancelAnimationFrame : clearTimeout;
+  let tasks: Task[] = [];
+  let frameId = null;
+
+  const flush = () => {
+    const batch = tasks;
+    tasks = [];
+    frameId = null;
+    _.each(batch, task => task.fn());
+  };
+
+  const enqueue = (task: Task) => {
+    tasks.push(task);
+    if (frameId === null) {
+      frameId = requestFrame(flush);
+    }
+  };
+
+  return {
+    schedule(fn: AnyFunction, delay?: number = 0): Task {
+      const task: Task = { fn, cancelled: false };
+      if (delay > 0) {
+        task.timeoutId = setTimeout(() => enqueue(task), delay);
+      } else {
+        enqueue(task);
+      }
+      return task;
+    },
+    cancel(task: Task) {
+      clearTimeout(task.timeoutId);
+      _.pull(tasks, task);
+      if (!tasks.length && frameId !== null) {
+        cancelFrame(frameId);
+        frameId = null;
+      }
+    }
+  };
+}
+
+const maxDrainedTasks: number = 1000;
+
+// Manual tasks run on a virtual clock that only moves when ticked. Flushing runs the
+// tasks that are due now, but not the tasks those schedule in turn. Draining runs every
+// task, moving the clock forward to delayed ones, until none is left.
+function manual(): ManualScheduler {
+  let tasks: Task[] = [];
+  let now = 0;
+
+  const runNext = () => {
+    const task = tasks.shift();
+    now = Math.max(now, (task.time: any));
+    task.fn();
+  };
+
+  return {
+    schedule(fn: AnyFunction, delay?: number = 0): Task {
+      const task: Task = { fn, cancelled: false, time: now + delay };
+      tasks.splice(_.sortedLastIndexBy(tasks, task, 'time'), 0, task);
+      return task;
+    },
+    cancel(task: Task) {
+      task.cancelled = true;
+      _.pull(tasks, task);
+    },
+    flush(): number {
+      const due = _.takeWhile(tasks, task => (task.time: any) <= now);
+      tasks = _.drop(tasks, due.length);
+      let flushed = 0;
+      _.each(due, task => {
+        if (!task.cancelled) {
+          task.fn();
+          flushed++;
+        }
+      });
+      return flushed;
+    },
+    tick(ms: number): number {
+      const target = now + ms;
+      let flushed = 0;
+      while (tasks.length && (tasks[0].time: any) <= target) {
+        runNext();
+        flushed++;
+      }
+      now = target;
+      return flushed;
+    },
+    drain(limit?: number = maxDrainedTasks): number {
+      let drained = 0;
+      while (tasks.length) {
+        if (drained === limit) {
+          throw new Error(`Scheduler still has pending tasks after draining ${limit} tasks`);
+        }
+        runNext();
+        drained++;
+      }
+      return drained;
+    },
+    now(): number {
+      return now;
+    },
+    pending(): number {
+      return tasks.length;
+    }
+  };
+}
+
+const strategies: { [key: SchedulerStrategy]: () => Scheduler } = { macrotask, microtask, frame, manual };
+
+function createScheduler(strategy: SchedulerStrategy | Scheduler = 'macrotask'): Scheduler {
+  if (_.isString(strategy)) {
+    if (!strategies.hasOwnProperty(strategy)) {
+      throw new Error(`Unknown scheduler strategy: ${(strategy: any)}`);
+    }
+    return strategies[(strategy: any)]();
+  }
+  return (strategy: any);
+}
+
+export { createScheduler, macrotask, microtask, frame, manual };
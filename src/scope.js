@@ -2,6 +2,14 @@
 import _ from 'lodash';
 import parse from './parse';
 import type { ParsedFunction } from './parse'; // eslint-disable-line
+import { createScheduler } from './scheduler';
+import { stringifyValue, stringifyExp, serializeValue } from './stringify';
+import { createDeepComparator } from './deep_watch';
+import { observe, trackReads, hasChanged, subscribe } from './tracking';
+import { createJournal } from './journal';
+import type { DeepWatchOptions } from './deep_watch'; // eslint-disable-line
+import type { Scheduler, SchedulerStrategy } from './scheduler'; // eslint-disable-line
+import type { Dependency, Tracker } from './tracking'; // eslint-disable-line
 
 function areEqual(newValue: any, oldValue: any, valueEq: boolean) {
   if (valueEq) {
@@ -12,7 +20,35 @@ function areEqual(newValue: any, oldValue: any, valueEq: boolean) {
   }
 }
 
+function isTypedArray(obj: any): boolean {
+  return typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(obj) && !(obj instanceof DataView);
+}
+
+function isIterable(obj: any): boolean {
+  return typeof Symbol === 'function' && _.isObject(obj) && _.isFunction(obj[Symbol.iterator]);
+}
+
+function isKeyedCollection(obj: any): boolean {
+  return obj instanceof Map || obj instanceof Set;
+}
+
+function cloneCollection(value: any): any {
+  if (value instanceof Map) {
+    return new Map(value);
+  } else if (value instanceof Set) {
+    return new Set(value);
+  } else if (strictIsArrayLike(value)) {
+    return _.isArray(value) || isTypedArray(value) ? value.slice() : _.toArray(value);
+  } else if (isIterable(value)) {
+    return Array.from(value);
+  }
+  return _.clone(value);
+}
+
 function strictIsArrayLike(obj: any) {
+  if (isTypedArray(obj)) {
+    return true;
+  }
   const isArrayLike = _.isArrayLike(obj);
   if (isArrayLike) {
     if (obj.length > 0) {
@@ -22,17 +58,69 @@ function strictIsArrayLike(obj: any) {
   return isArrayLike;
 }
 
-type ListenerFunction<T> = (newValue: T, oldValue: T, scope: Scope) => any;
+type ListenerFunction<T> = (newValue: T, oldValue: T, scope: Scope, ...rest: any[]) => any;
 type Watcher = {
   watchFn: CallWith<Scope, any>,
+  exp: AcceptableExpr,
   listenerFn: ListenerFunction<any>,
-  valueEq: boolean,
-  last: any
+  equals: (newValue: any, oldValue: any) => boolean,
+  copy: (value: any, last: any) => any,
+  priority: number,
+  last: any,
+  observer: ?WatchObserver,
+  removed: boolean
+};
+type WatchObserver = {
+  stale: boolean,
+  unsubscribe: AnyFunction
+};
+type CollectionChange = {
+  key: number | string,
+  item: any,
+  from?: number | string,
+  oldItem?: any
+};
+type CollectionChanges = {
+  added: CollectionChange[],
+  removed: CollectionChange[],
+  moved: CollectionChange[],
+  changed: CollectionChange[]
+};
+type WatchCollectionOptions = {
+  diff?: boolean,
+  trackBy?: string | Function
+};
+type WatchOptions = {
+  equals?: (newValue: any, oldValue: any) => boolean,
+  copy?: (value: any, last: any) => any,
+  deep?: boolean | DeepWatchOptions,
+  debounce?: number,
+  throttle?: number,
+  immediate?: boolean,
+  priority?: number,
+  track?: boolean
 };
 type AsyncQueueItem = {
   scope: Scope,
   expression: AcceptableExpr
 };
+type PostDigestItem = {
+  scope: Scope,
+  fn: AnyFunction
+};
+type ApplyOptions = {
+  local?: boolean
+};
+type DigestProgress = {
+  pass: number,
+  processed: number,
+  total: number,
+  done: boolean
+};
+type IncrementalDigestOptions = {
+  budget?: number,
+  onProgress?: (progress: DigestProgress) => any
+};
 type ScopeEvent = {
   name: string,
   defaultPrevented: boolean,
@@ -42,21 +130,299 @@ type ScopeEvent = {
   targetScope: Scope
 };
 type ScopeEventListener = (event: ScopeEvent, ...rest: any[]) => any;
+type AsyncEventResult = {
+  event: ScopeEvent,
+  results: any[]
+};
+type StickyEvent = {
+  targetScope: Scope,
+  args: any[]
+};
+type ExceptionContext = {
+  phase: 'watch' | 'listener' | '$evalAsync' | '$applyAsync' | '$$postDigest' | 'event' | '$timeout' | '$interval',
+  scope: Scope,
+  watcher?: Watcher,
+  expression?: any,
+  event?: ScopeEvent
+};
+type ExceptionHandler = (err: any, context: ExceptionContext) => any;
+type DirtyWatchRecord = {
+  exp: AcceptableExpr,
+  newValue: any,
+  oldValue: any,
+  scope: Scope
+};
+type WatcherProfile = {
+  exp: string,
+  scopeId: number,
+  evaluations: number,
+  dirty: number,
+  watchTime: number,
+  listenerTime: number,
+  totalTime: number
+};
+type ProfileReport = {
+  digests: number,
+  lastDigest: WatcherProfile[],
+  cumulative: WatcherProfile[]
+};
+type ScopeSnapshot = {
+  id: number,
+  isolated: boolean,
+  properties: { [key: string]: any },
+  watchers: {
+    count: number,
+    expressions: string[]
+  },
+  listeners: { [key: string]: number },
+  children: ScopeSnapshot[]
+};
+type ScopeOptions = {
+  exceptionHandler?: ExceptionHandler,
+  ttl?: number,
+  profile?: boolean,
+  scheduler?: SchedulerStrategy | Scheduler,
+  changeDetection?: 'dirty' | 'proxy'
+};
 
 type AcceptableExpr = CallWith<Scope, any> | string;
 
 const initWatchVal: AnyFunction = () => {};
 const maxTTL: number = 10; // time to live
+const ttlLogSize: number = 5;
+const defaultFrameBudget: number = 8;
+let scopeId: number = 0;
 
-function constantWatchDelegate(scope: Scope, listenerFn?: ListenerFunction, valueEq?: boolean, watchFn: ParsedFunction) {
-  const unwatch = scope.$watch(() => watchFn(scope),
+function nextScopeId(): number {
+  return ++scopeId;
+}
+
+function ttlError(ttl: number, watchLog: Array<DirtyWatchRecord[]>): Error {
+  const iterations = _.map(watchLog, (records, i) => {
+    const fired = _.map(records, record =>
+      `${stringifyExp(record.exp)} (scope ${record.scope.$id}): ` +
+      `${stringifyValue(record.oldValue)} -> ${stringifyValue(record.newValue)}`
+    );
+    return `  #${i + 1}: ${fired.join('; ')}`;
+  });
+  const err: any = new Error(`Max digest iterations reached (${ttl}). Aborting!\n` +
+    `Watchers fired in the last ${watchLog.length} iterations:\n${iterations.join('\n')}`);
+  err.watchLog = watchLog;
+  return err;
+}
+
+const defaultScheduler: Scheduler = createScheduler('macrotask');
+
+function defaultExceptionHandler(err: any) {
+  console.error(err);
+}
+
+function warning(condition: boolean, message: string) {
+  if (!condition && typeof console !== 'undefined') {
+    console.warn(message);
+  }
+}
+
+// Positions of a longest increasing subsequence of `values`, which must be distinct.
+function increasingPositions(values: number[]): Set<number> {
+  const tails: number[] = [];
+  const previous: number[] = [];
+  _.each(values, (value, position) => {
+    const length = _.sortedIndexBy(tails, position, tail => values[tail]);
+    previous[position] = length > 0 ? tails[length - 1] : -1;
+    tails[length] = position;
+  });
+  const positions = new Set();
+  for (let position = tails.length ? _.last(tails) : -1; position >= 0; position = previous[position]) {
+    positions.add(position);
+  }
+  return positions;
+}
+
+// Items that keep their relative order are not reported as moved, so inserting or
+// removing at the front only reports the inserted or removed items.
+function arrayChanges(oldItems: any[], newItems: any[], trackFn: (item: any, index: number) => any): CollectionChanges {
+  const changes: CollectionChanges = { added: [], removed: [], moved: [], changed: [] };
+  const kept: CollectionChange[] = [];
+  const keptFrom: number[] = [];
+  const oldIndexes: Map<any, number[]> = new Map();
+  _.each(oldItems, (item, index) => {
+    const key = trackFn(item, index);
+    if (oldIndexes.has(key)) {
+      (oldIndexes.get(key): any).push(index);
+    } else {
+      oldIndexes.set(key, [index]);
+    }
+  });
+  _.each(newItems, (item, index) => {
+    const indexes = oldIndexes.get(trackFn(item, index));
+    if (indexes && indexes.length) {
+      const from = indexes.shift();
+      const oldItem = oldItems[from];
+      kept.push({ key: index, from, item });
+      keptFrom.push(from);
+      if (!areEqual(item, oldItem, false)) {
+        changes.changed.push({ key: index, item, oldItem });
+      }
+    } else {
+      changes.added.push({ key: index, item });
+    }
+  });
+  oldIndexes.forEach(indexes => {
+    _.each(indexes, index => {
+      changes.removed.push({ key: index, item: oldItems[index] });
+    });
+  });
+  changes.removed = _.sortBy(changes.removed, 'key');
+  const inOrder = increasingPositions(keptFrom);
+  changes.moved = _.filter(kept, (change, position) => !inOrder.has(position));
+  return changes;
+}
+
+function objectChanges(oldObject: Object, newObject: Object): CollectionChanges {
+  const changes: CollectionChanges = { added: [], removed: [], moved: [], changed: [] };
+  _.forOwn(newObject, (item, key) => {
+    if (!oldObject.hasOwnProperty(key)) {
+      changes.added.push({ key, item });
+    } else if (!areEqual(item, oldObject[key], false)) {
+      changes.changed.push({ key, item, oldItem: oldObject[key] });
+    }
+  });
+  _.forOwn(oldObject, (item, key) => {
+    if (!newObject.hasOwnProperty(key)) {
+      changes.removed.push({ key, item });
+    }
+  });
+  return changes;
+}
+
+function mapChanges(oldMap: Map<any, any>, newMap: Map<any, any>): CollectionChanges {
+  const changes: CollectionChanges = { added: [], removed: [], moved: [], changed: [] };
+  newMap.forEach((item, key) => {
+    if (!oldMap.has(key)) {
+      changes.added.push({ key, item });
+    } else if (!areEqual(item, oldMap.get(key), false)) {
+      changes.changed.push({ key, item, oldItem: oldMap.get(key) });
+    }
+  });
+  oldMap.forEach((item, key) => {
+    if (!newMap.has(key)) {
+      changes.removed.push({ key, item });
+    }
+  });
+  return changes;
+}
+
+function setChanges(oldSet: Set<any>, newSet: Set<any>): CollectionChanges {
+  const changes: CollectionChanges = { added: [], removed: [], moved: [], changed: [] };
+  let index = 0;
+  newSet.forEach(item => {
+    if (!oldSet.has(item)) {
+      changes.added.push({ key: index, item });
+    }
+    index++;
+  });
+  index = 0;
+  oldSet.forEach(item => {
+    if (!newSet.has(item)) {
+      changes.removed.push({ key: index, item });
+    }
+    index++;
+  });
+  return changes;
+}
+
+function collectionChanges(oldValue: any, newValue: any, trackFn: (item: any, index: number) => any): ?CollectionChanges {
+  if (!_.isObject(newValue)) {
+    return null;
+  }
+  if (newValue instanceof Map) {
+    return mapChanges(oldValue instanceof Map ? oldValue : new Map(), newValue);
+  }
+  if (newValue instanceof Set) {
+    return setChanges(oldValue instanceof Set ? oldValue : new Set(), newValue);
+  }
+  if (strictIsArrayLike(newValue) || isIterable(newValue)) {
+    return arrayChanges(strictIsArrayLike(oldValue) ? oldValue : [], cloneCollection(newValue), trackFn);
+  }
+  return objectChanges(_.isObject(oldValue) && !strictIsArrayLike(oldValue) && !isKeyedCollection(oldValue) ? oldValue : {}, newValue);
+}
+
+function normalizeWatchOptions(options?: boolean | WatchOptions): WatchOptions {
+  if (_.isObject(options)) {
+    const watchOptions: WatchOptions = (options: any);
+    if (watchOptions.deep) {
+      return _.defaults({}, watchOptions, createDeepComparator(_.isObject(watchOptions.deep) ? (watchOptions.deep: any) : {}));
+    }
+    return watchOptions;
+  }
+  return options ? { equals: _.isEqual, copy: _.cloneDeep } : {};
+}
+
+function identityEquals(newValue: any, oldValue: any): boolean {
+  return areEqual(newValue, oldValue, false);
+}
+
+function debounceListener(scope: Scope, listenerFn: ListenerFunction<any>,
+          wait: number, immediate: boolean): [ListenerFunction<any>, AnyFunction] {
+  let cancel: ?AnyFunction = null;
+  let pending: ?[any, any] = null;
+  const flush = () => {
+    cancel = null;
+    if (pending) {
+      const [newValue, oldValue] = pending;
+      pending = null;
+      scope.$apply(() => listenerFn(newValue, oldValue, scope));
+    }
+  };
+  const listener = (newValue, oldValue) => {
+    if (cancel) {
+      pending = [newValue, pending ? pending[1] : oldValue];
+      cancel();
+    } else if (immediate) {
+      listenerFn(newValue, oldValue, scope);
+    } else {
+      pending = [newValue, oldValue];
+    }
+    cancel = scope.$timeout(flush, wait, false);
+  };
+  return [listener, () => cancel && cancel()];
+}
+
+function throttleListener(scope: Scope, listenerFn: ListenerFunction<any>,
+          wait: number): [ListenerFunction<any>, AnyFunction] {
+  let cancel: ?AnyFunction = null;
+  let pending: ?[any, any] = null;
+  const flush = () => {
+    cancel = null;
+    if (pending) {
+      const [newValue, oldValue] = pending;
+      pending = null;
+      cancel = scope.$timeout(flush, wait, false);
+      scope.$apply(() => listenerFn(newValue, oldValue, scope));
+    }
+  };
+  const listener = (newValue, oldValue) => {
+    if (cancel) {
+      pending = [newValue, pending ? pending[1] : oldValue];
+    } else {
+      cancel = scope.$timeout(flush, wait, false);
+      listenerFn(newValue, oldValue, scope);
+    }
+  };
+  return [listener, () => cancel && cancel()];
+}
+
+function constantWatchDelegate(scope: Scope, listenerFn?: ListenerFunction, options: WatchOptions,
+          watchFn: ParsedFunction, exp: AcceptableExpr) {
+  const unwatch = scope.$$watch(() => watchFn(scope),
   (...args) => {
     if (_.isFunction(listenerFn)) {
       // $FlowIssue
       listenerFn.call(scope, ...args);
     }
     unwatch();
-  }, valueEq);
+  }, options, exp);
   return unwatch;
 }
 
@@ -65,10 +431,10 @@ function isAnyUndefined(val: any): boolean {
 }
 
 function oneTimeWatchDelegate(scope: Scope, listenerFn?: ListenerFunction,
-          valueEq?: boolean, watchFn: ParsedFunction, literal?: boolean): AnyFunction {
+          options: WatchOptions, watchFn: ParsedFunction, exp: AcceptableExpr): AnyFunction {
   let lastValue;
-  let testFn = literal ? isAnyUndefined : _.isUndefined;
-  const unwatch = scope.$watch(() => watchFn(scope),
+  let testFn = watchFn.literal ? isAnyUndefined : _.isUndefined;
+  const unwatch = scope.$$watch(() => watchFn(scope),
   (newValue, ...args) => {
     lastValue = newValue;
     if (_.isFunction(listenerFn)) {
@@ -80,7 +446,7 @@ function oneTimeWatchDelegate(scope: Scope, listenerFn?: ListenerFunction,
         unwatch();
       }
     });
-  }, valueEq);
+  }, options, exp);
   return unwatch;
 }
 
@@ -89,14 +455,14 @@ function expressionInputDirtyCheck(newValue: any, oldValue: any): boolean {
 }
 
 function inputWatchDelegate(scope: Scope, listenerFn?: ListenerFunction,
-          valueEq?: boolean, watchFn: ParsedFunction): AnyFunction {
+          options: WatchOptions, watchFn: ParsedFunction, exp: AcceptableExpr): AnyFunction {
   const inputExpressions = watchFn.inputs;
   if (!inputExpressions) {
     throw new Error('Input not found in watchFn');
   }
   const oldValues = _.times(inputExpressions.length, _.constant(() => {}));
   let lastResult;
-  return scope.$watch(() => {
+  return scope.$$watch(() => {
     let changed = false;
     _.each(inputExpressions, (inputExpr, i) => {
       const newValue = inputExpr(scope);
@@ -109,34 +475,294 @@ function inputWatchDelegate(scope: Scope, listenerFn?: ListenerFunction,
       lastResult = watchFn(scope);
     }
     return lastResult;
-  }, listenerFn, valueEq);
+  }, listenerFn, options, exp);
+}
+
+function isObservable(value: any): boolean {
+  return value instanceof Scope || _.isArray(value) || (_.isPlainObject(value) && !isIterable(value));
+}
+
+// In proxy change detection mode only scopes are observed. Plain objects and arrays are
+// read and stored as they are, so application code keeps their identity, and watchers
+// reading into them are dirty checked.
+function isScope(value: any): boolean {
+  return value instanceof Scope;
+}
+
+function isScopeData(dependency: Dependency): boolean {
+  return dependency.target instanceof Scope && !_.isFunction(dependency.value);
+}
+
+// Reads go through proxies of the scope, plain objects and arrays. Reading any other
+// object (a Map, a Date, a class instance) makes the watcher fall back to running on
+// every digest, since changes inside it cannot be seen.
+function trackedWatchDelegate(scope: Scope, listenerFn?: ListenerFunction,
+          options: WatchOptions, watchFn: ParsedFunction, exp: AcceptableExpr): AnyFunction {
+  let tracker: ?Tracker = null;
+  let lastResult;
+  return scope.$$watch(() => {
+    if (!tracker || hasChanged(tracker)) {
+      tracker = null;
+      const result = trackReads(scope, watchFn, isObservable);
+      tracker = result.tracker;
+      lastResult = result.value;
+    }
+    return lastResult;
+  }, listenerFn, options, exp);
+}
+
+const eventPatterns: Map<string, RegExp> = new Map();
+
+function isEventPattern(name: string): boolean {
+  return name.indexOf('*') >= 0;
+}
+
+// Event names are namespaced with `:`. In a pattern `*` matches within a single
+// segment and a `**` segment matches any number of segments, including none.
+function eventPattern(pattern: string): RegExp {
+  let regexp = eventPatterns.get(pattern);
+  if (!regexp) {
+    const segments = pattern.split(':');
+    const source = _.map(segments, (segment, i) => {
+      if (segment === '**') {
+        return segments.length === 1 ? '.*' : (i === 0 ? '(?:.*:)?' : '(?::.*)?');
+      }
+      const separator = i > 0 && !(i === 1 && segments[0] === '**') ? ':' : '';
+      return separator + _.map(segment.split('*'), _.escapeRegExp).join('[^:]*');
+    }).join('');
+    regexp = new RegExp(`^${source}$`);
+    eventPatterns.set(pattern, regexp);
+  }
+  return regexp;
+}
+
+function broadcastEvent(name: string, targetScope: Scope): ScopeEvent {
+  const event: ScopeEvent = {
+    name,
+    targetScope,
+    currentScope: targetScope,
+    defaultPrevented: false,
+    preventDefault: () => {
+      event.defaultPrevented = true;
+    }
+  };
+  return event;
+}
+
+function now(): number {
+  if (typeof performance !== 'undefined' && _.isFunction(performance.now)) {
+    return performance.now();
+  }
+  return Date.now();
+}
+
+function sortProfiles(profiles: Map<Watcher, WatcherProfile>): WatcherProfile[] {
+  return _.orderBy(_.map(Array.from(profiles.values()), _.clone), ['totalTime', 'evaluations'], ['desc', 'desc']);
+}
+
+class DigestProfiler {
+  digests: number = 0;
+  lastDigest: Map<Watcher, WatcherProfile> = new Map();
+  cumulative: Map<Watcher, WatcherProfile> = new Map();
+
+  beginDigest() {
+    this.digests++;
+    this.lastDigest = new Map();
+  }
+
+  profileOf(profiles: Map<Watcher, WatcherProfile>, watcher: Watcher, scope: Scope): WatcherProfile {
+    let profile = profiles.get(watcher);
+    if (!profile) {
+      profile = {
+        exp: stringifyExp(watcher.exp),
+        scopeId: scope.$id,
+        evaluations: 0,
+        dirty: 0,
+        watchTime: 0,
+        listenerTime: 0,
+        totalTime: 0
+      };
+      profiles.set(watcher, profile);
+    }
+    return profile;
+  }
+
+  recordWatch(watcher: Watcher, scope: Scope, time: number, dirty: boolean) {
+    _.each([this.lastDigest, this.cumulative], profiles => {
+      const profile = this.profileOf(profiles, watcher, scope);
+      profile.evaluations++;
+      profile.watchTime += time;
+      profile.totalTime += time;
+      if (dirty) {
+        profile.dirty++;
+      }
+    });
+  }
+
+  recordListener(watcher: Watcher, scope: Scope, time: number) {
+    _.each([this.lastDigest, this.cumulative], profiles => {
+      const profile = this.profileOf(profiles, watcher, scope);
+      profile.listenerTime += time;
+      profile.totalTime += time;
+    });
+  }
+
+  report(): ProfileReport {
+    return {
+      digests: this.digests,
+      lastDigest: sortProfiles(this.lastDigest),
+      cumulative: sortProfiles(this.cumulative)
+    };
+  }
 }
 
 class Scope {
+  $id: number = nextScopeId();
   $$watchers: Watcher[] = [];
   $$lastDirtyWatch: ?Watcher = null;
   $$asyncQueue: AsyncQueueItem[] = [];
-  $$applyAsyncQueue: AnyFunction[] = [];
-  $$applyAsyncId: ?number = null;
+  $$applyAsyncQueue: AsyncQueueItem[] = [];
+  $$applyAsyncId: any = null;
+  $$evalAsyncId: any = null;
+  $$incrementalDigest: ?Promise<void> = null;
   $$phase: ?('$apply' | '$digest') = null;
-  $$postDigestQueue: AnyFunction[] = [];
+  $$postDigestQueue: PostDigestItem[] = [];
   $$children: Scope[] = [];
   $root: Scope = this;
   $parent: ?Scope = null;
+  $$isolated: boolean = false;
+  $$suspended: boolean = false;
+  $$destroyed: boolean = false;
+  $$watchPriorities: { [key: number]: number } = {};
   $$listeners: { [key: string]: (?ScopeEventListener)[] } = {};
+  $$listenerPriorities: { [key: string]: number[] } = {};
+  $$firing: { [key: string]: number } = {};
+  $$listenerCount: { [key: string]: number } = {};
+  $$eventPatterns: string[] = [];
+  $$stickyEvents: { [key: string]: StickyEvent } = {};
+  $exceptionHandler: ExceptionHandler = defaultExceptionHandler;
+  $$ttl: number = maxTTL;
+  $$profiler: ?DigestProfiler = null;
+  $$scheduler: Scheduler = defaultScheduler;
+  $$observed: boolean = false;
 
-  $on(eventName: string, listener: ScopeEventListener): AnyFunction {
+  constructor(options?: ScopeOptions = {}) {
+    if (options.exceptionHandler) {
+      this.$exceptionHandler = options.exceptionHandler;
+    }
+    if (options.ttl != null) {
+      this.$$ttl = options.ttl;
+    }
+    if (options.profile) {
+      this.$profile();
+    }
+    if (options.scheduler) {
+      this.$$scheduler = createScheduler(options.scheduler);
+    }
+    if (options.changeDetection === 'proxy' && typeof Proxy === 'function') {
+      this.$$observed = true;
+      return (observe(this, isScope): any);
+    }
+  }
+
+  $profile(enabled: boolean = true) {
+    this.$root.$$profiler = enabled ? new DigestProfiler() : null;
+  }
+
+  $profileReport(): ?ProfileReport {
+    const profiler = this.$root.$$profiler;
+    return profiler ? profiler.report() : null;
+  }
+
+  // Listeners with a higher priority are called first; listeners of equal priority are
+  // called in registration order. Listeners registered while the event fires on this
+  // scope are appended and only put in priority order once it has finished, so that
+  // none is called twice.
+  $on(eventName: string, listener: ScopeEventListener, priority?: number = 0): AnyFunction {
+    if (this.$$destroyed) {
+      return _.noop;
+    }
     let listeners = this.$$listeners[eventName];
+    let priorities = this.$$listenerPriorities[eventName];
     if (!listeners) {
       this.$$listeners[eventName] = listeners = [];
+      this.$$listenerPriorities[eventName] = priorities = [];
+      if (isEventPattern(eventName)) {
+        this.$$eventPatterns.push(eventName);
+      }
     }
-    listeners.push(listener);
-    return () => {
+    const position = this.$$firing[eventName] ? listeners.length : _.findLastIndex(priorities, p => p >= priority) + 1;
+    listeners.splice(position, 0, listener);
+    priorities.splice(position, 0, priority);
+    this.$$countListeners(eventName, 1);
+    const deregister = () => {
       const index = listeners.indexOf(listener);
       if (index >= 0) {
         listeners[index] = null;
+        this.$$countListeners(eventName, -1);
       }
     };
+    this.$$replayStickyEvents(eventName, listener);
+    return deregister;
+  }
+
+  $$beginFiring(key: string) {
+    this.$$firing[key] = (this.$$firing[key] || 0) + 1;
+  }
+
+  $$endFiring(key: string) {
+    const depth = this.$$firing[key] - 1;
+    if (depth > 0) {
+      this.$$firing[key] = depth;
+      return;
+    }
+    delete this.$$firing[key];
+    const listeners = this.$$listeners[key];
+    const priorities = this.$$listenerPriorities[key];
+    if (!listeners || _.every(priorities, (priority, i) => i === 0 || priorities[i - 1] >= priority)) {
+      return;
+    }
+    const order = _.sortBy(_.filter(_.range(listeners.length), i => listeners[i] != null), i => -priorities[i]);
+    const sortedListeners = _.map(order, i => listeners[i]);
+    const sortedPriorities = _.map(order, i => priorities[i]);
+    listeners.splice(0, listeners.length, ...sortedListeners);
+    priorities.splice(0, priorities.length, ...sortedPriorities);
+  }
+
+  $$countListeners(eventName: string, delta: number) {
+    let scope = this;
+    while (scope) {
+      const count = (scope.$$listenerCount[eventName] || 0) + delta;
+      if (count > 0) {
+        scope.$$listenerCount[eventName] = count;
+      } else {
+        delete scope.$$listenerCount[eventName];
+      }
+      scope = scope.$parent;
+    }
+  }
+
+  // Whether any scope in this subtree listens to the event, directly or via a pattern.
+  $$hasListeners(eventName: string): boolean {
+    return !!this.$$listenerCount[eventName] || _.some(_.keys(this.$$listenerCount), key =>
+      key !== eventName && isEventPattern(key) && eventPattern(key).test(eventName));
+  }
+
+  $once(eventName: string, listener: ScopeEventListener, priority?: number = 0): AnyFunction {
+    let deregister: ?AnyFunction = null;
+    let fired = false;
+    const onceListener = (...args) => {
+      fired = true;
+      if (deregister) {
+        deregister();
+      }
+      return listener(...args);
+    };
+    deregister = this.$on(eventName, onceListener, priority);
+    if (fired) {
+      deregister();
+    }
+    return deregister;
   }
 
   $emit(eventName: string, ...args: any[]): ScopeEvent {
@@ -164,75 +790,254 @@ class Scope {
   }
 
   $broadcast(eventName: string, ...args: any[]): ScopeEvent {
-    const event: ScopeEvent = {
-      name: eventName,
-      targetScope: this,
-      currentScope: this,
-      defaultPrevented: false,
-      preventDefault: () => {
-        event.defaultPrevented = true;
-      }
-    };
+    const event = broadcastEvent(eventName, this);
     this.$$everyScope(scope => {
       event.currentScope = scope;
       scope.$$fireEventOnScope(eventName, event, args);
       return true;
-    });
+    }, scope => !scope.$$hasListeners(eventName));
     event.currentScope = null;
     return event;
   }
 
+  $emitAsync(eventName: string, ...args: any[]): Promise<AsyncEventResult> {
+    const scopes = [];
+    let scope = this;
+    while (scope) {
+      scopes.push(scope);
+      scope = scope.$parent;
+    }
+    return this.$$fireEventAsync(scopes, eventName, args);
+  }
+
+  $broadcastAsync(eventName: string, ...args: any[]): Promise<AsyncEventResult> {
+    const scopes = [];
+    this.$$everyScope(scope => {
+      scopes.push(scope);
+      return true;
+    }, scope => !scope.$$hasListeners(eventName));
+    return this.$$fireEventAsync(scopes, eventName, args);
+  }
+
+  // Listeners are called one at a time in propagation order, each one after the value
+  // returned by the previous one has settled. Stopping propagation skips the remaining
+  // scopes and preventing the default skips all remaining listeners.
+  $$fireEventAsync(scopes: Scope[], eventName: string, args: any[]): Promise<AsyncEventResult> {
+    let propagationStopped = false;
+    const event = broadcastEvent(eventName, this);
+    event.stopPropagation = () => {
+      propagationStopped = true;
+    };
+    const listenerArgs = [event, ...args];
+    const results = [];
+    const visit = (index: number): Promise<AsyncEventResult> | AsyncEventResult => {
+      if (index === scopes.length || propagationStopped || event.defaultPrevented) {
+        event.currentScope = null;
+        return { event, results };
+      }
+      const scope = scopes[index];
+      const keys = scope.$$listenerKeys(eventName);
+      const fire = (key: string, i: number): Promise<void> | void => {
+        const listeners = scope.$$listeners[key] || [];
+        if (i >= listeners.length || event.defaultPrevented) {
+          return;
+        }
+        const listener = listeners[i];
+        if (listener == null) {
+          return fire(key, i + 1);
+        }
+        event.currentScope = scope;
+        return Promise.resolve()
+          .then(() => listener.apply(null, listenerArgs))
+          .then(result => {
+            results.push(result);
+          }, err => {
+            results.push(undefined);
+            scope.$$handleException(err, { phase: 'event', scope, expression: listener, event });
+          })
+          .then(() => fire(key, i + 1));
+      };
+      const next = (k: number): Promise<void> | void => {
+        if (k === keys.length || event.defaultPrevented) {
+          return;
+        }
+        scope.$$beginFiring(keys[k]);
+        return Promise.resolve(fire(keys[k], 0)).then(() => {
+          scope.$$endFiring(keys[k]);
+          return next(k + 1);
+        });
+      };
+      return Promise.resolve(next(0)).then(() => visit(index + 1));
+    };
+    return Promise.resolve(visit(0));
+  }
+
+  // Sticky events are remembered by the broadcasting scope, and listeners registered
+  // later on it or on any of its descendants receive the last one right away.
+  $broadcastSticky(eventName: string, ...args: any[]): ScopeEvent {
+    this.$$stickyEvents[eventName] = { targetScope: this, args };
+    return this.$broadcast(eventName, ...args);
+  }
+
+  $$replayStickyEvents(eventName: string, listener: ScopeEventListener) {
+    const replayed = {};
+    let scope = this;
+    while (scope) {
+      _.forOwn(scope.$$stickyEvents, (sticky, name) => {
+        if (!replayed[name] && (name === eventName || (isEventPattern(eventName) && eventPattern(eventName).test(name)))) {
+          replayed[name] = true;
+          const event = broadcastEvent(name, sticky.targetScope);
+          event.currentScope = this;
+          try {
+            listener(event, ...sticky.args);
+          } catch (err) {
+            this.$$handleException(err, { phase: 'event', scope: this, expression: listener, event });
+          }
+          event.currentScope = null;
+        }
+      });
+      scope = scope.$parent;
+    }
+  }
+
+  $$listenerKeys(eventName: string): string[] {
+    const patterns = _.filter(this.$$eventPatterns, pattern =>
+      pattern !== eventName && eventPattern(pattern).test(eventName));
+    return this.$$listeners[eventName] ? [eventName, ...patterns] : patterns;
+  }
+
   $$fireEventOnScope(eventName: string, event: ScopeEvent, args: any[]) {
-    const listeners = this.$$listeners[eventName] || [];
-    let i = 0;
     const listenerArgs = [event, ...args];
-    while (i < listeners.length) {
-      if (listeners[i] == null) {
-        listeners.splice(i, 1);
-      } else {
-        try {
-          listeners[i].apply(null, listenerArgs);
-        } catch (err) {
-          console.error(err);
+    _.each(this.$$listenerKeys(eventName), key => {
+      this.$$fireListeners(key, event, listenerArgs);
+    });
+  }
+
+  $$fireListeners(key: string, event: ScopeEvent, listenerArgs: any[]) {
+    const listeners = this.$$listeners[key];
+    const priorities = this.$$listenerPriorities[key];
+    if (!listeners) {
+      return;
+    }
+    this.$$beginFiring(key);
+    try {
+      let i = 0;
+      while (i < listeners.length) {
+        const listener = listeners[i];
+        if (listener == null) {
+          listeners.splice(i, 1);
+          priorities.splice(i, 1);
+        } else {
+          try {
+            listener.apply(null, listenerArgs);
+          } catch (err) {
+            this.$$handleException(err, { phase: 'event', scope: this, expression: listener, event });
+          }
+          i++;
         }
-        i++;
       }
+    } finally {
+      this.$$endFiring(key);
     }
   }
 
+  $$handleException(err: any, context: ExceptionContext) {
+    this.$root.$exceptionHandler(err, context);
+  }
+
   $$postDigest(fn: AnyFunction) {
-    this.$$postDigestQueue.push(fn);
+    this.$$postDigestQueue.push({ scope: this, fn });
   }
 
-  $apply(expr: AcceptableExpr) {
+  $apply(expr: AcceptableExpr, options?: ApplyOptions = {}) {
+    if (this.$$warnIfDestroyed('$apply')) {
+      return;
+    }
     try {
       this.$$beginPhase('$apply');
       return this.$eval(expr);
     } finally {
       this.$$clearPhase();
+      if (options.local) {
+        this.$digestLocal();
+      } else {
+        this.$root.$digest();
+      }
+    }
+  }
+
+  // Like $apply, but the writes the expression makes through the scope passed to it, on
+  // this scope or on plain objects and arrays reached from it, are undone when it throws
+  // or returns a promise that rejects. The digest runs once it settles. Writes made
+  // through other references, such as a closure over this scope, are not undone.
+  // Without Proxy support this scope's own properties are restored from a snapshot
+  // instead, which cannot tell the expression's writes apart from the writes of other
+  // code, so expressions returning promises are rolled back and rejected right away.
+  $transaction(expr: AcceptableExpr): any {
+    if (this.$$warnIfDestroyed('$transaction')) {
+      return;
+    }
+    const journal = createJournal(this);
+    const complete = (failed: boolean) => {
+      if (failed) {
+        journal.rollback();
+      }
       this.$root.$digest();
+    };
+    let result;
+    this.$$beginPhase('$apply');
+    try {
+      result = parse(expr)((journal.target: any));
+    } catch (err) {
+      this.$$clearPhase();
+      complete(true);
+      throw err;
+    }
+    this.$$clearPhase();
+    if (result && _.isFunction(result.then)) {
+      if (!journal.journaled) {
+        complete(true);
+        return Promise.reject(new Error('$transaction cannot wait for promises without Proxy support'));
+      }
+      return Promise.resolve(result).then(value => {
+        complete(false);
+        return value;
+      }, err => {
+        complete(true);
+        throw err;
+      });
     }
+    complete(false);
+    return result;
   }
 
   $applyAsync(expr: AcceptableExpr) {
-    this.$$applyAsyncQueue.push(() => {
-      this.$eval(expr);
+    if (this.$$warnIfDestroyed('$applyAsync')) {
+      return;
+    }
+    this.$$applyAsyncQueue.push({
+      scope: this,
+      expression: expr
     });
     if (this.$root.$$applyAsyncId === null) {
-      this.$root.$$applyAsyncId = setTimeout(() => {
+      this.$root.$$applyAsyncId = this.$root.$$scheduler.schedule(() => {
+        if (this.$root.$$incrementalDigest) {
+          return;
+        }
         this.$apply(() => {
           this.$$flushApplyAsync();
         });
-      }, 0);
+      });
     }
   }
 
   $$flushApplyAsync() {
     while (this.$$applyAsyncQueue.length) {
+      const applyTask = this.$$applyAsyncQueue.shift();
       try {
-        this.$$applyAsyncQueue.shift()();
+        applyTask.scope.$eval(applyTask.expression);
       } catch (err) {
-        console.error(err);
+        this.$$handleException(err, { phase: '$applyAsync', scope: applyTask.scope, expression: applyTask.expression });
       }
     }
     this.$root.$$applyAsyncId = null;
@@ -254,12 +1059,11 @@ class Scope {
   }
 
   $evalAsync(expr: AcceptableExpr) {
+    if (this.$$warnIfDestroyed('$evalAsync')) {
+      return;
+    }
     if (!this.$$phase && !this.$$asyncQueue.length) {
-      setTimeout(() => {
-        if (this.$$asyncQueue.length) {
-          this.$root.$digest();
-        }
-      }, 0);
+      this.$$scheduleDigest();
     }
     this.$$asyncQueue.push({
       scope: this,
@@ -267,37 +1071,195 @@ class Scope {
     });
   }
 
-  $watch(watchFn: AcceptableExpr, listenerFn?: ListenerFunction<any>, valueEq?: boolean = false): AnyFunction {
+  $$scheduleDigest() {
+    const root = this.$root;
+    if (root.$$evalAsyncId === null) {
+      root.$$evalAsyncId = root.$$scheduler.schedule(() => {
+        root.$$evalAsyncId = null;
+        if (root.$$asyncQueue.length && !root.$$incrementalDigest) {
+          root.$digest();
+        }
+      });
+    }
+  }
+
+  // The value is recomputed only when its inputs change: the given dependencies, or the
+  // inputs parse finds in the expression. Functions, and expressions whose calls are not
+  // isolated from their inputs, need explicit dependencies.
+  $computed(name: string, expr: AcceptableExpr, deps?: AcceptableExpr[]): AnyFunction {
+    const computeFn = parse(expr);
+    if (!deps && (!_.isString(expr) || (computeFn.calls && (!computeFn.inputs || computeFn.inputCalls)))) {
+      throw new Error(`Computed property ${name} needs explicit dependencies`);
+    }
+    const inputs = deps ? _.map(deps, dep => parse(dep)) : computeFn.inputs;
+    let lastInputValues: ?any[] = null;
+    let value;
+    Object.defineProperty(this, name, {
+      configurable: true,
+      enumerable: true,
+      get: () => {
+        if (!inputs) {
+          return computeFn(this);
+        }
+        const inputValues = _.map(inputs, input => input(this));
+        const previousValues = lastInputValues;
+        if (!previousValues || _.some(inputValues, (inputValue, i) => !expressionInputDirtyCheck(inputValue, previousValues[i]))) {
+          value = computeFn(this);
+          lastInputValues = inputValues;
+        }
+        return value;
+      },
+      set: () => {
+        throw new Error(`Cannot assign to computed property ${name}`);
+      }
+    });
+    return () => {
+      delete (this: any)[name];
+    };
+  }
+
+  $timeout(fn: AcceptableExpr, delay?: number = 0, invokeApply?: boolean = true): AnyFunction {
+    return this.$$timer('$timeout', fn, delay, 1, invokeApply);
+  }
+
+  $interval(fn: AcceptableExpr, delay: number, count?: number = 0, invokeApply?: boolean = true): AnyFunction {
+    return this.$$timer('$interval', fn, delay, count, invokeApply);
+  }
+
+  $$timer(phase: '$timeout' | '$interval', fn: AcceptableExpr, delay: number,
+          count: number, invokeApply: boolean): AnyFunction {
+    if (this.$$warnIfDestroyed(phase)) {
+      return _.noop;
+    }
+    const scheduler = this.$root.$$scheduler;
+    let iteration = 0;
+    let task = null;
+    const run = () => {
+      try {
+        this.$eval(fn);
+      } catch (err) {
+        this.$$handleException(err, { phase, scope: this, expression: fn });
+      }
+    };
+    const tick = () => {
+      task = null;
+      iteration++;
+      if (count === 0 || iteration < count) {
+        task = scheduler.schedule(tick, delay);
+      } else {
+        deregisterDestroy();
+      }
+      if (invokeApply) {
+        this.$apply(run);
+      } else {
+        run();
+      }
+    };
+    const cancel = () => {
+      if (task !== null) {
+        scheduler.cancel(task);
+        task = null;
+      }
+      deregisterDestroy();
+    };
+    const deregisterDestroy = this.$on('$destroy', cancel);
+    task = scheduler.schedule(tick, delay);
+    return cancel;
+  }
+
+  $watch(watchFn: AcceptableExpr, listenerFn?: ListenerFunction<any>, options?: boolean | WatchOptions = false): AnyFunction {
     const parsedWatchFn = parse(watchFn);
+    const watchOptions = normalizeWatchOptions(options);
 
     if (parsedWatchFn.constant) {
-      return constantWatchDelegate(this, listenerFn, valueEq, parsedWatchFn);
+      return constantWatchDelegate(this, listenerFn, watchOptions, parsedWatchFn, watchFn);
     } else if (parsedWatchFn.oneTime) {
-      return oneTimeWatchDelegate(this, listenerFn, valueEq, parsedWatchFn, parsedWatchFn.literal);
+      return oneTimeWatchDelegate(this, listenerFn, watchOptions, parsedWatchFn, watchFn);
     } else if (parsedWatchFn.inputs) {
-      return inputWatchDelegate(this, listenerFn, valueEq, parsedWatchFn);
+      return inputWatchDelegate(this, listenerFn, watchOptions, parsedWatchFn, watchFn);
+    } else if (watchOptions.track && typeof Proxy === 'function') {
+      return trackedWatchDelegate(this, listenerFn, watchOptions, parsedWatchFn, watchFn);
     }
+    return this.$$watch(parsedWatchFn, listenerFn, watchOptions, watchFn);
+  }
 
+  $$watch(watchFn: CallWith<Scope, any>, listenerFn?: ListenerFunction<any>,
+          options: WatchOptions, exp: AcceptableExpr): AnyFunction {
+    if (this.$$warnIfDestroyed('$watch')) {
+      return _.noop;
+    }
+    let listener: ListenerFunction<any> = listenerFn || (() => {});
+    let cancelListener: AnyFunction = _.noop;
+    if (options.debounce != null) {
+      [listener, cancelListener] = debounceListener(this, listener, options.debounce, !!options.immediate);
+    } else if (options.throttle != null) {
+      [listener, cancelListener] = throttleListener(this, listener, options.throttle);
+    }
     const watcher: Watcher = {
-      watchFn: parsedWatchFn,
-      listenerFn: listenerFn || (() => {}),
-      valueEq,
-      last: initWatchVal
+      watchFn,
+      exp,
+      listenerFn: listener,
+      equals: options.equals || identityEquals,
+      copy: options.copy || _.identity,
+      priority: options.priority || 0,
+      last: initWatchVal,
+      observer: this.$root.$$observed && _.isString(exp) && !options.equals && !options.copy
+        ? { stale: true, unsubscribe: _.noop } : null,
+      removed: false
     };
     this.$$watchers.unshift(watcher);
+    this.$$countPriority(watcher.priority, 1);
     this.$root.$$lastDirtyWatch = null;
     return () => {
+      cancelListener();
+      if (watcher.observer) {
+        watcher.observer.unsubscribe();
+      }
+      watcher.removed = true;
       const index = this.$$watchers.indexOf(watcher);
       if (index >= 0) {
         this.$$watchers.splice(index, 1);
+        this.$$countPriority(watcher.priority, -1);
         this.$root.$$lastDirtyWatch = null;
       }
     };
   }
 
-  $watchGroup(watchFns: CallWith<Scope, any>[], listenerFn?: ListenerFunction<any[]>): AnyFunction {
+  $$countPriority(priority: number, delta: number) {
+    let scope = this;
+    while (scope) {
+      const count = (scope.$$watchPriorities[priority] || 0) + delta;
+      if (count > 0) {
+        scope.$$watchPriorities[priority] = count;
+      } else {
+        delete scope.$$watchPriorities[priority];
+      }
+      scope = scope.$parent;
+    }
+  }
+
+  // Watchers run in descending priority across the whole subtree. Watchers of equal
+  // priority run depth-first through the scopes, parents before children and children
+  // in creation order, and in registration order within a scope.
+  $$forEachWatcher(fn: (scope: Scope, watcher: Watcher) => ?boolean) {
+    const priorities = _.map(_.keys(this.$$watchPriorities), Number).sort((a, b) => b - a);
+    _.every(priorities, priority => this.$$everyScope(scope => {
+      let continueLoop = true;
+      _.eachRight(scope.$$watchers, watcher => {
+        if (watcher && watcher.priority === priority && !scope.$$destroyed && fn(scope, watcher) === false) {
+          continueLoop = false;
+          return false;
+        }
+      });
+      return continueLoop;
+    }, scope => scope.$$suspended || !scope.$$watchPriorities[priority]));
+  }
+
+  $watchGroup(watchFns: AcceptableExpr[], listenerFn?: ListenerFunction<any[]>,
+              options?: boolean | WatchOptions = false): AnyFunction {
     const newValues: any[] = new Array(watchFns.length);
     const oldValues: any[] = new Array(watchFns.length);
+    let changedIndices: number[] = [];
     let changeReactionSchedules = false;
     let firstRun = true;
 
@@ -305,7 +1267,7 @@ class Scope {
       let shouldCall = true;
       this.$evalAsync(() => {
         if (shouldCall && listenerFn != null) {
-          listenerFn(newValues, newValues, this);
+          listenerFn(newValues, newValues, this, []);
         }
       });
       return () => {
@@ -314,25 +1276,32 @@ class Scope {
     }
 
     const watchGroupListener: AnyFunction = () => {
+      const changed = _.sortBy(changedIndices);
+      changedIndices = [];
+      changeReactionSchedules = false;
       if (!listenerFn) return;
       if (firstRun) {
         firstRun = false;
-        listenerFn(newValues, newValues, this);
+        listenerFn(newValues, newValues, this, changed);
       } else {
-        listenerFn(newValues, oldValues, this);
+        listenerFn(newValues, oldValues, this, changed);
       }
-      changeReactionSchedules = false;
     };
 
+    // One-time members deregister themselves once their value settles, so a group made
+    // only of one-time expressions is gone after all of its members have settled.
     const destroyFns: AnyFunction[] = _.map(watchFns, (watchFn, i) => {
       return this.$watch(watchFn, (newValue, oldValue) => {
         newValues[i] = newValue;
         oldValues[i] = oldValue;
+        if (changedIndices.indexOf(i) < 0) {
+          changedIndices.push(i);
+        }
         if (!changeReactionSchedules) {
           changeReactionSchedules = true;
           this.$evalAsync(watchGroupListener);
         }
-      });
+      }, options);
     });
 
     return () => {
@@ -342,37 +1311,80 @@ class Scope {
     };
   }
 
-  $watchCollection(watchFn: AcceptableExpr, listenerFn: ListenerFunction<any>): AnyFunction {
+  $watchCollection(watchFn: AcceptableExpr, listenerFn: ListenerFunction<any>,
+                   options?: WatchCollectionOptions = {}): AnyFunction {
     let newValue, oldValue;
     let changeCount: number = 0;
     let oldLength: number;
     const trackVeryOldValue: boolean = listenerFn.length > 1;
     let veryOldValue;
+    let diffedValue;
     let firstRun: boolean = true;
     const parsedWatchFn = parse(watchFn);
+    const trackByFn = parse(options.trackBy);
+    const trackFn = options.trackBy ? (item, index) => trackByFn(item, { $index: index }) : _.identity;
 
     const internalWatchFn: CallWith<Scope, number> = (scope) => {
       let newLength;
       newValue = parsedWatchFn(scope);
 
       if (_.isObject(newValue)) {
-        if (strictIsArrayLike(newValue)) {
+        if (newValue instanceof Map) {
+          if (!(oldValue instanceof Map)) {
+            changeCount++;
+            oldValue = new Map();
+          }
+          newValue.forEach((newValueVal, key) => {
+            if (!oldValue.has(key) || !areEqual(newValueVal, oldValue.get(key), false)) {
+              changeCount++;
+              oldValue.set(key, newValueVal);
+            }
+          });
+          if (oldValue.size > newValue.size) {
+            changeCount++;
+            oldValue.forEach((oldValueVal, key) => {
+              if (!newValue.has(key)) {
+                oldValue.delete(key);
+              }
+            });
+          }
+        } else if (newValue instanceof Set) {
+          if (!(oldValue instanceof Set)) {
+            changeCount++;
+            oldValue = new Set();
+          }
+          newValue.forEach(newValueItem => {
+            if (!oldValue.has(newValueItem)) {
+              changeCount++;
+              oldValue.add(newValueItem);
+            }
+          });
+          if (oldValue.size > newValue.size) {
+            changeCount++;
+            oldValue.forEach(oldValueItem => {
+              if (!newValue.has(oldValueItem)) {
+                oldValue.delete(oldValueItem);
+              }
+            });
+          }
+        } else if (strictIsArrayLike(newValue) || isIterable(newValue)) {
+          const newItems = strictIsArrayLike(newValue) ? newValue : Array.from(newValue);
           if (!_.isArray(oldValue)) {
             changeCount++;
             oldValue = [];
           }
-          if (newValue.length !== oldValue.length) {
+          if (newItems.length !== oldValue.length) {
             changeCount++;
-            oldValue.length = newValue.length;
+            oldValue.length = newItems.length;
           }
-          _.each(newValue, (newValueItem, i) => {
-            if (!areEqual(newValueItem, oldValue[i], false)) {
+          for (let i = 0; i < newItems.length; i++) {
+            if (!areEqual(newItems[i], oldValue[i], false)) {
               changeCount++;
-              oldValue[i] = newValueItem;
+              oldValue[i] = newItems[i];
             }
-          });
+          }
         } else {
-          if (!_.isObject(oldValue) || strictIsArrayLike(oldValue)) {
+          if (!_.isObject(oldValue) || _.isArray(oldValue) || isKeyedCollection(oldValue)) {
             changeCount++;
             oldValue = {};
             oldLength = 0;
@@ -412,94 +1424,326 @@ class Scope {
     };
 
     const internalListenerFn = () => {
+      const changes = options.diff ? [collectionChanges(diffedValue, newValue, trackFn)] : [];
       if (firstRun) {
-        listenerFn(newValue, newValue, this);
+        listenerFn(newValue, newValue, this, ...changes);
         firstRun = false;
       } else {
-        listenerFn(newValue, veryOldValue, this);
+        listenerFn(newValue, veryOldValue, this, ...changes);
       }
 
       if (trackVeryOldValue) {
-        veryOldValue = _.clone(newValue);
+        veryOldValue = cloneCollection(newValue);
+      }
+      if (options.diff) {
+        diffedValue = cloneCollection(newValue);
       }
     };
 
-    return this.$watch(internalWatchFn, internalListenerFn);
+    return this.$$watch(internalWatchFn, internalListenerFn, {}, watchFn);
   }
 
-  $$digestOnce(): boolean {
-    let dirty: boolean = false;
-    let continueLoop: boolean = true;
-    this.$$everyScope(scope => {
-      _.eachRight(scope.$$watchers, watcher => {
-        try {
-          if (watcher) {
-            const newValue = watcher.watchFn(scope);
-            const oldValue = watcher.last;
-            if (!areEqual(newValue, oldValue, watcher.valueEq)) {
-              scope.$root.$$lastDirtyWatch = watcher;
-              watcher.last = watcher.valueEq ? _.cloneDeep(newValue) : newValue;
-              watcher.listenerFn(newValue,
-                (oldValue === initWatchVal ? newValue : oldValue),
-                scope);
-              dirty = true;
-            } else if (scope.$root.$$lastDirtyWatch === watcher) {
-              continueLoop = false;
-              return false;
-            }
-          }
-        } catch (err) {
-          console.error(err);
-        }
+  $$checkWatcher(watcher: Watcher, dirtyLog?: DirtyWatchRecord[], trackLastDirty: boolean): boolean {
+    const profiler = this.$root.$$profiler;
+    let phase: 'watch' | 'listener' = 'watch';
+    if (watcher.observer && !watcher.observer.stale) {
+      return false;
+    }
+    try {
+      const watchStart = profiler ? now() : 0;
+      const newValue = watcher.observer ? this.$$observeWatcher(watcher, watcher.observer) : watcher.watchFn(this);
+      const oldValue = watcher.last;
+      const dirty = oldValue === initWatchVal || !watcher.equals(newValue, oldValue);
+      if (profiler) {
+        profiler.recordWatch(watcher, this, now() - watchStart, dirty);
+      }
+      if (!dirty) {
+        return false;
+      }
+      if (trackLastDirty) {
+        this.$root.$$lastDirtyWatch = watcher;
+      }
+      watcher.last = watcher.copy(newValue, oldValue === initWatchVal ? undefined : oldValue);
+      if (dirtyLog) {
+        dirtyLog.push({
+          exp: watcher.exp,
+          newValue: watcher.last,
+          oldValue: oldValue === initWatchVal ? undefined : oldValue,
+          scope: this
+        });
+      }
+      phase = 'listener';
+      const listenerStart = profiler ? now() : 0;
+      watcher.listenerFn(newValue,
+        (oldValue === initWatchVal ? newValue : oldValue),
+        this);
+      if (profiler) {
+        profiler.recordListener(watcher, this, now() - listenerStart);
+      }
+    } catch (err) {
+      this.$$handleException(err, {
+        phase,
+        scope: this,
+        watcher,
+        expression: phase === 'watch' ? watcher.watchFn : watcher.listenerFn
       });
-      return continueLoop;
+      return phase === 'listener';
+    }
+    return true;
+  }
+
+  // In proxy change detection mode a watcher is only evaluated again once one of the
+  // scope properties it read has been written. That is only safe for expressions that
+  // read nothing but scope properties holding data: watch functions may read closure
+  // state, functions called may read anything, and objects reached from the scope are
+  // not observed. Every other watcher is dirty checked, as are watchers comparing values
+  // with a custom equality.
+  $$observeWatcher(watcher: Watcher, observer: WatchObserver): any {
+    observer.unsubscribe();
+    observer.unsubscribe = _.noop;
+    observer.stale = true;
+    const { value, tracker } = trackReads(this, watcher.watchFn, isScope);
+    observer.stale = !tracker.trackable || !tracker.dependencies.length ||
+      !_.every(tracker.dependencies, isScopeData);
+    if (!observer.stale) {
+      observer.unsubscribe = subscribe(tracker, () => {
+        observer.stale = true;
+      });
+    }
+    return value;
+  }
+
+  $$digestOnce(dirtyLog?: DirtyWatchRecord[], local?: boolean = false): boolean {
+    let dirty: boolean = false;
+    this.$$forEachWatcher((scope, watcher) => {
+      if (scope.$$checkWatcher(watcher, dirtyLog, !local)) {
+        dirty = true;
+      } else if (!local && scope.$root.$$lastDirtyWatch === watcher) {
+        return false;
+      }
     });
     return dirty;
   }
 
   $digest() {
+    this.$$digest(false);
+  }
+
+  $digestLocal() {
+    this.$$digest(true);
+  }
+
+  $$isInSubtreeOf(ancestor: Scope): boolean {
+    let scope = this;
+    while (scope && scope !== ancestor) {
+      scope = scope.$parent;
+    }
+    return scope === ancestor;
+  }
+
+  $$takeTask<T: { scope: Scope }>(queue: T[], local: boolean): ?T {
+    if (!local) {
+      return queue.shift();
+    }
+    const index = _.findIndex(queue, task => task.scope.$$isInSubtreeOf(this));
+    return index >= 0 ? queue.splice(index, 1)[0] : null;
+  }
+
+  $$hasAsyncTask(local: boolean): boolean {
+    if (!local) {
+      return this.$$asyncQueue.length > 0;
+    }
+    return _.some(this.$$asyncQueue, task => task.scope.$$isInSubtreeOf(this));
+  }
+
+  $$digest(local: boolean) {
+    if (this.$$warnIfDestroyed(local ? '$digestLocal' : '$digest')) {
+      return;
+    }
     let dirty: boolean = false;
-    let ttl: number = maxTTL;
-    this.$root.$$lastDirtyWatch = null;
+    const maxIterations: number = this.$root.$$ttl;
+    let ttl: number = maxIterations;
+    const watchLog: Array<DirtyWatchRecord[]> = [];
+    if (local && this.$root.$$phase) {
+      throw new Error(`${this.$root.$$phase} already in progress.`);
+    }
+    if (this.$root.$$incrementalDigest) {
+      throw new Error('$digestIncremental already in progress.');
+    }
+    if (!local) {
+      this.$root.$$lastDirtyWatch = null;
+    }
     this.$$beginPhase('$digest');
-
-    if (this.$root.$$applyAsyncId) {
-      clearTimeout(this.$root.$$applyAsyncId);
-      this.$$flushApplyAsync();
+    if (this.$root.$$profiler) {
+      this.$root.$$profiler.beginDigest();
     }
 
-    do {
-      while (this.$$asyncQueue.length) {
-        try {
-          const asyncTask = this.$$asyncQueue.shift();
-          asyncTask.scope.$eval(asyncTask.expression);
-        } catch (err) {
-          console.error(err);
-        }
+    try {
+      if (!local && this.$root.$$applyAsyncId !== null) {
+        this.$root.$$scheduler.cancel(this.$root.$$applyAsyncId);
+        this.$$flushApplyAsync();
       }
-      dirty = this.$$digestOnce();
-      if (dirty || this.$$asyncQueue.length) {
-        ttl--;
-        if (ttl < 0) {
-          this.$$clearPhase();
-          throw new Error('Max digest iterations reached');
+
+      do {
+        this.$$flushAsyncQueue(local);
+        let dirtyLog;
+        if (ttl < ttlLogSize) {
+          dirtyLog = [];
+          watchLog.push(dirtyLog);
+        }
+        dirty = this.$$digestOnce(dirtyLog, local);
+        if (dirty || this.$$hasAsyncTask(local)) {
+          ttl--;
+          if (ttl < 0) {
+            throw ttlError(maxIterations, watchLog);
+          }
         }
+      } while (dirty || this.$$hasAsyncTask(local));
+
+      this.$$finishDigest(local);
+    } finally {
+      this.$$clearPhase();
+    }
+  }
+
+  $$flushAsyncQueue(local: boolean) {
+    let asyncTask;
+    while ((asyncTask = this.$$takeTask(this.$$asyncQueue, local))) {
+      try {
+        asyncTask.scope.$eval(asyncTask.expression);
+      } catch (err) {
+        this.$$handleException(err, { phase: '$evalAsync', scope: asyncTask.scope, expression: asyncTask.expression });
       }
-    } while (dirty || this.$$asyncQueue.length);
+    }
+  }
+
+  $$finishDigest(local: boolean) {
+    if (this.$root.$$evalAsyncId !== null && !this.$$asyncQueue.length) {
+      this.$root.$$scheduler.cancel(this.$root.$$evalAsyncId);
+      this.$root.$$evalAsyncId = null;
+    } else if (this.$$asyncQueue.length) {
+      this.$$scheduleDigest();
+    }
 
-    while (this.$$postDigestQueue.length) {
+    let postDigestTask;
+    while ((postDigestTask = this.$$takeTask(this.$$postDigestQueue, local))) {
       try {
-        this.$$postDigestQueue.shift()();
+        postDigestTask.fn();
       } catch (err) {
-        console.error(err);
+        this.$$handleException(err, { phase: '$$postDigest', scope: postDigestTask.scope, expression: postDigestTask.fn });
       }
     }
+  }
 
-    this.$$clearPhase();
+  $digestIncremental(options?: IncrementalDigestOptions = {}): Promise<void> {
+    if (this.$$warnIfDestroyed('$digestIncremental')) {
+      return Promise.resolve();
+    }
+    if (this.$root.$$incrementalDigest) {
+      return this.$root.$$incrementalDigest;
+    }
+    const budget: number = options.budget != null ? options.budget : defaultFrameBudget;
+    const onProgress = options.onProgress;
+    const maxIterations: number = this.$root.$$ttl;
+    let ttl: number = maxIterations;
+    const watchLog: Array<DirtyWatchRecord[]> = [];
+    let pass: number = 0;
+    let pending: Array<[Scope, Watcher]> = [];
+    let index: number = 0;
+    let dirty: boolean = false;
+    let dirtyLog;
+
+    const startPass = () => {
+      this.$$flushAsyncQueue(false);
+      pass++;
+      pending = [];
+      index = 0;
+      dirty = false;
+      dirtyLog = undefined;
+      if (ttl < ttlLogSize) {
+        dirtyLog = [];
+        watchLog.push(dirtyLog);
+      }
+      this.$$forEachWatcher((scope, watcher) => {
+        pending.push([scope, watcher]);
+      });
+    };
+
+    const runChunk = (): boolean => {
+      const chunkStart = now();
+      do {
+        if (index === pending.length) {
+          if (!dirty && !this.$$asyncQueue.length) {
+            this.$$finishDigest(false);
+            return true;
+          }
+          ttl--;
+          if (ttl < 0) {
+            throw ttlError(maxIterations, watchLog);
+          }
+          startPass();
+        } else {
+          const [scope, watcher] = pending[index++];
+          if (!watcher.removed && scope.$$checkWatcher(watcher, dirtyLog, false)) {
+            dirty = true;
+          }
+        }
+      } while (now() - chunkStart < budget);
+      return false;
+    };
+
+    let resolveDigest: () => void = _.noop;
+    let rejectDigest: (err: any) => void = _.noop;
+    const promise: Promise<void> = new Promise((resolve, reject) => {
+      resolveDigest = resolve;
+      rejectDigest = reject;
+    });
+
+    // $applyAsync and $evalAsync tasks that fire between chunks are left to this digest.
+    const step = () => {
+      let done;
+      try {
+        this.$$beginPhase('$digest');
+        try {
+          if (pass === 0 && this.$root.$$profiler) {
+            this.$root.$$profiler.beginDigest();
+          }
+          if (this.$root.$$applyAsyncId !== null) {
+            this.$root.$$scheduler.cancel(this.$root.$$applyAsyncId);
+            this.$$flushApplyAsync();
+            dirty = true;
+          }
+          if (pass === 0) {
+            startPass();
+          }
+          done = runChunk();
+        } finally {
+          this.$$clearPhase();
+        }
+        if (onProgress) {
+          onProgress({ pass, processed: index, total: pending.length, done });
+        }
+      } catch (err) {
+        this.$root.$$incrementalDigest = null;
+        rejectDigest(err);
+        return;
+      }
+      if (done) {
+        this.$root.$$incrementalDigest = null;
+        resolveDigest();
+      } else {
+        this.$root.$$scheduler.schedule(step);
+      }
+    };
+    this.$root.$$incrementalDigest = promise;
+    step();
+    return promise;
   }
 
+  // Children of a destroyed scope are created destroyed and are not attached to it.
   $new(isolated: boolean = false, parent?: Scope): Scope {
     if (!parent) parent = this;
+    const destroyed = parent.$$warnIfDestroyed('$new');
     let child: Scope;
     if (isolated) {
       child = new Scope();
@@ -509,34 +1753,152 @@ class Scope {
       child.$$applyAsyncQueue = parent.$$applyAsyncQueue;
     } else {
       child = Object.create(this);
+      child.$id = nextScopeId();
+    }
+    if (child.$root.$$observed) {
+      child = (observe(child, isScope): any);
     }
-    parent.$$children.push(child);
+    if (!destroyed) {
+      parent.$$children.push(child);
+    }
+    child.$$isolated = isolated;
+    child.$$suspended = false;
+    child.$$destroyed = destroyed;
+    child.$$watchPriorities = {};
     child.$$watchers = [];
     child.$$children = [];
     child.$$listeners = {};
-    child.$parent = parent;
+    child.$$listenerPriorities = {};
+    child.$$firing = {};
+    child.$$listenerCount = {};
+    child.$$eventPatterns = [];
+    child.$$stickyEvents = {};
+    child.$parent = destroyed ? null : parent;
     return child;
   }
 
-  $$everyScope(fn: CallWith<Scope, boolean>): boolean {
+  $$everyScope(fn: CallWith<Scope, boolean>, prune?: CallWith<Scope, boolean>): boolean {
+    if (prune && prune(this)) {
+      return true;
+    }
     if (fn(this)) {
-      return this.$$children.every(child => child.$$everyScope(fn));
+      return this.$$children.every(child => child.$$everyScope(fn, prune));
     } else {
       return false;
     }
   }
 
+  $suspend() {
+    this.$$suspended = true;
+  }
+
+  $resume() {
+    if (this.$$suspended) {
+      this.$$suspended = false;
+      this.$evalAsync(() => {});
+    }
+  }
+
+  $isSuspended(): boolean {
+    return this.$$suspended;
+  }
+
+  $inspect(): ScopeSnapshot {
+    const snapshots: { [key: number]: ScopeSnapshot } = {};
+    this.$$everyScope(scope => {
+      const snapshot: ScopeSnapshot = {
+        id: scope.$id,
+        isolated: scope.$$isolated,
+        properties: {},
+        watchers: {
+          count: scope.$$watchers.length,
+          expressions: _.map(scope.$$watchers, watcher => stringifyExp(watcher.exp)).reverse()
+        },
+        listeners: {},
+        children: []
+      };
+      _.forOwn(scope, (value, key) => {
+        if (key.charAt(0) !== '$') {
+          snapshot.properties[key] = serializeValue(value);
+        }
+      });
+      _.forOwn(scope.$$listeners, (listeners, eventName) => {
+        const count = _.compact(listeners).length;
+        if (count) {
+          snapshot.listeners[eventName] = count;
+        }
+      });
+      if (scope !== this && scope.$parent) {
+        snapshots[scope.$parent.$id].children.push(snapshot);
+      }
+      snapshots[scope.$id] = snapshot;
+      return true;
+    });
+    return snapshots[this.$id];
+  }
+
+  $$warnIfDestroyed(method: string): boolean {
+    warning(!this.$$destroyed, `${method} called on destroyed scope ${this.$id}, ignoring.`);
+    return this.$$destroyed;
+  }
+
+  // Destroying a scope destroys its whole subtree and drops every reference the rest of
+  // the tree holds to it, including tasks its scopes queued, so it can be collected.
   $destroy() {
+    if (this.$$destroyed) {
+      return;
+    }
     this.$broadcast('$destroy');
-    if (this.$parent) {
-      const siblings = this.$parent.$$children;
+    const parent = this.$parent;
+    if (parent) {
+      const siblings = parent.$$children;
       const index = siblings.indexOf(this);
       if (index >= 0) {
         siblings.splice(index, 1);
       }
+      _.forOwn(this.$$watchPriorities, (count, priority) => {
+        parent.$$countPriority(Number(priority), -count);
+      });
+      _.forOwn(this.$$listenerCount, (count, eventName) => {
+        parent.$$countListeners(eventName, -count);
+      });
     }
+    const destroyed = [];
+    this.$$everyScope(scope => {
+      scope.$$destroyed = true;
+      destroyed.push(scope);
+      return true;
+    });
+    const isDestroyedTask = task => task.scope.$$destroyed;
+    _.remove(this.$$asyncQueue, isDestroyedTask);
+    _.remove(this.$$applyAsyncQueue, isDestroyedTask);
+    _.remove(this.$$postDigestQueue, isDestroyedTask);
+    this.$root.$$lastDirtyWatch = null;
+    _.each(destroyed, scope => {
+      scope.$$teardown();
+    });
+  }
+
+  $$teardown() {
+    _.each(this.$$watchers, watcher => {
+      if (watcher.observer) {
+        watcher.observer.unsubscribe();
+      }
+      watcher.removed = true;
+    });
     this.$$watchers = [];
+    this.$$watchPriorities = {};
     this.$$listeners = {};
+    this.$$listenerPriorities = {};
+    this.$$firing = {};
+    this.$$listenerCount = {};
+    this.$$eventPatterns = [];
+    this.$$stickyEvents = {};
+    this.$$children = [];
+    this.$parent = null;
+    this.$$asyncQueue = [];
+    this.$$applyAsyncQueue = [];
+    this.$$postDigestQueue = [];
   }
 }
 
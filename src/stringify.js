@@ -0,0 +1,32 @@
+/* @flow */
+import _ from 'lodash';
+
+function stringifyValue(value: any): string {
+  if (_.isFunction(value)) {
+    return `fn: ${value.name || 'anonymous'}`;
+  }
+  try {
+    const json = JSON.stringify(value);
+    return _.isUndefined(json) ? String(value) : json;
+  } catch (err) {
+    return String(value);
+  }
+}
+
+function stringifyExp(exp: string | Function): string {
+  return _.isString(exp) ? exp : stringifyValue(exp);
+}
+
+function serializeValue(value: any): any {
+  if (_.isFunction(value)) {
+    return stringifyValue(value);
+  }
+  try {
+    const json = JSON.stringify(value);
+    return _.isUndefined(json) ? json : JSON.parse(json);
+  } catch (err) {
+    return String(value);
+  }
+}
+
+export { stringifyValue, stringifyExp, serializeValue };
@@ -0,0 +1,211 @@
+/* @flow */
+import _ from 'lodash';
+
+export type Dependency = {
+  kind: 'get' | 'has' | 'keys',
+  target: Object,
+  key?: any,
+  value: any
+};
+
+export type Tracker = {
+  dependencies: Dependency[],
+  trackable: boolean
+};
+
+export type TrackedResult = {
+  value: any,
+  tracker: Tracker
+};
+
+type ObservablePredicate = (value: any) => boolean;
+
+const proxies: WeakMap<Object, Object> = new WeakMap();
+const targets: WeakMap<Object, Object> = new WeakMap();
+const reactiveTargets: WeakMap<Object, ObservablePredicate> = new WeakMap();
+const subscriptions: WeakMap<Object, Map<any, Set<AnyFunction>>> = new WeakMap();
+const anyKey = {};
+let currentTracker: ?Tracker = null;
+let currentIsObservable: ObservablePredicate = _.constant(false);
+
+// `$$` properties hold internal state and are never tracked, wrapped or notified.
+function isInternal(key: any): boolean {
+  return _.isString(key) && key.charAt(0) === '$' && key.charAt(1) === '$';
+}
+
+function isFrozenProperty(target: Object, key: any): boolean {
+  const descriptor = Object.getOwnPropertyDescriptor(target, key);
+  return !!descriptor && !descriptor.configurable && descriptor.writable === false;
+}
+
+function record(dependency: Dependency) {
+  if (currentTracker) {
+    currentTracker.dependencies.push(dependency);
+  }
+}
+
+function notify(target: Object, key: any, added: boolean) {
+  const keys = subscriptions.get(target);
+  if (!keys) {
+    return;
+  }
+  _.each([keys.get(key), added ? keys.get(anyKey) : null], callbacks => {
+    if (callbacks) {
+      _.each(Array.from(callbacks), callback => callback());
+    }
+  });
+}
+
+const handler = {
+  get(target: Object, key: any, receiver: any): any {
+    const value = Reflect.get(target, key, receiver);
+    const tracker = currentTracker;
+    const reactive = reactiveTargets.get(target);
+    if ((!tracker && !reactive) || isInternal(key)) {
+      return value;
+    }
+    record({ kind: 'get', target, key, value });
+    if (!_.isObject(value) || _.isFunction(value) || targets.has(value)) {
+      return value;
+    }
+    const isObservable = reactive || currentIsObservable;
+    if (!isObservable(value)) {
+      if (tracker) {
+        tracker.trackable = false;
+      }
+      return value;
+    }
+    return isFrozenProperty(target, key) ? value : observe(value, reactive);
+  },
+  has(target: Object, key: any): boolean {
+    const value = Reflect.has(target, key);
+    record({ kind: 'has', target, key, value });
+    return value;
+  },
+  ownKeys(target: Object): any[] {
+    const value = Reflect.ownKeys(target);
+    record({ kind: 'keys', target, value });
+    return value;
+  },
+  set(target: Object, key: any, value: any, receiver: any): boolean {
+    if (isInternal(key)) {
+      return Reflect.set(target, key, value, receiver);
+    }
+    const added = !Object.prototype.hasOwnProperty.call(target, key);
+    const result = Reflect.set(target, key, unwrap(value), receiver);
+    notify(target, key, added);
+    return result;
+  },
+  deleteProperty(target: Object, key: any): boolean {
+    const result = Reflect.deleteProperty(target, key);
+    if (!isInternal(key)) {
+      notify(target, key, true);
+    }
+    return result;
+  }
+};
+
+// Objects observed with a predicate are reactive: everything read through them is
+// observed as well, so writes anywhere in the graph notify their subscribers.
+function observe(target: Object, isObservable?: ?ObservablePredicate): Object {
+  if (targets.has(target)) {
+    return target;
+  }
+  if (isObservable && !reactiveTargets.has(target)) {
+    reactiveTargets.set(target, isObservable);
+  }
+  let proxy = proxies.get(target);
+  if (!proxy) {
+    proxy = new Proxy(target, handler);
+    proxies.set(target, proxy);
+    targets.set(proxy, target);
+  }
+  return proxy;
+}
+
+function unwrap(value: any): any {
+  return _.isObject(value) && targets.has(value) ? targets.get(value) : value;
+}
+
+// Values built while tracking, like arrays filtered from observed ones, may hold proxies,
+// which are replaced with their targets. Observed objects themselves never hold proxies.
+function unwrapDeep(value: any, seen: Set<Object>): any {
+  if (!_.isObject(value) || targets.has(value)) {
+    return unwrap(value);
+  }
+  if (seen.has(value) || !(_.isArray(value) || _.isPlainObject(value))) {
+    return value;
+  }
+  seen.add(value);
+  _.each(_.keys(value), key => {
+    const item = value[key];
+    const unwrapped = unwrapDeep(item, seen);
+    if (unwrapped !== item && !isFrozenProperty(value, key)) {
+      value[key] = unwrapped;
+    }
+  });
+  return value;
+}
+
+function trackReads(target: Object, fn: (target: Object) => any,
+                    isObservable: ObservablePredicate): TrackedResult {
+  const tracker: Tracker = { dependencies: [], trackable: true };
+  const previousTracker = currentTracker;
+  const previousIsObservable = currentIsObservable;
+  currentTracker = tracker;
+  currentIsObservable = isObservable;
+  try {
+    return { value: unwrapDeep(fn(observe(target)), new Set()), tracker };
+  } finally {
+    currentTracker = previousTracker;
+    currentIsObservable = previousIsObservable;
+  }
+}
+
+function dependencyChanged(dependency: Dependency): boolean {
+  const target = dependency.target;
+  switch (dependency.kind) {
+    case 'has':
+      return Reflect.has(target, dependency.key) !== dependency.value;
+    case 'keys':
+      return !_.isEqual(Reflect.ownKeys(target), dependency.value);
+    default:
+      return !_.eq(Reflect.get(target, dependency.key), dependency.value);
+  }
+}
+
+function hasChanged(tracker: Tracker): boolean {
+  return !tracker.trackable || _.some(tracker.dependencies, dependencyChanged);
+}
+
+function subscribe(tracker: Tracker, callback: AnyFunction): AnyFunction {
+  const entries = _.map(tracker.dependencies, dependency =>
+    [dependency.target, dependency.kind === 'keys' ? anyKey : dependency.key]);
+  _.each(entries, ([target, key]) => {
+    let keys = subscriptions.get(target);
+    if (!keys) {
+      keys = new Map();
+      subscriptions.set(target, keys);
+    }
+    let callbacks = keys.get(key);
+    if (!callbacks) {
+      callbacks = new Set();
+      keys.set(key, callbacks);
+    }
+    callbacks.add(callback);
+  });
+  return () => {
+    _.each(entries, ([target, key]) => {
+      const keys = subscriptions.get(target);
+      const callbacks = keys && keys.get(key);
+      if (keys && callbacks) {
+        callbacks.delete(callback);
+        if (!callbacks.size) {
+          keys.delete(key);
+        }
+      }
+    });
+  };
+}
+
+export { observe, unwrap, trackReads, hasChanged, subscribe, isFrozenProperty };
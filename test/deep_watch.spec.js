@@ -0,0 +1,140 @@
+/* @flow */
+/* eslint-env mocha */
+import { expect } from 'chai';
+import { createDeepComparator } from '../src/deep_watch';
+
+describe('deep watch comparator', function () {
+  const { equals, copy } = createDeepComparator();
+
+  it('compares copies by value', function () {
+    const value = { a: [1, { b: 2 }], c: new Date(233) };
+    const snapshot = copy(value);
+    expect(snapshot).to.not.equal(value);
+    expect(equals(value, snapshot)).to.be.true;
+
+    value.a[1].b = 3;
+    expect(equals(value, snapshot)).to.be.false;
+  });
+
+  it('distinguishes arrays from objects', function () {
+    expect(equals([1], copy({ '0': 1 }))).to.be.false;
+  });
+
+  it('handles NaN and primitives', function () {
+    expect(equals(NaN, copy(NaN))).to.be.true;
+    expect(equals('a', copy('a'))).to.be.true;
+    expect(equals({ a: NaN }, copy({ a: NaN }))).to.be.true;
+  });
+
+  it('copies and compares circular structures', function () {
+    const value: any = { name: 'a', children: [] };
+    value.children.push({ parent: value });
+    value.self = value;
+
+    const snapshot = copy(value);
+    expect(snapshot.self).to.equal(snapshot);
+    expect(snapshot.children[0].parent).to.equal(snapshot);
+    expect(equals(value, snapshot)).to.be.true;
+
+    value.children[0].parent = { name: 'b' };
+    expect(equals(value, snapshot)).to.be.false;
+  });
+
+  it('compares by reference beyond the max depth', function () {
+    const comparator = createDeepComparator({ maxDepth: 1 });
+    const inner = { b: 1 };
+    const value = { a: inner };
+    const snapshot = comparator.copy(value);
+    expect(snapshot.a).to.equal(inner);
+
+    inner.b = 2;
+    expect(comparator.equals(value, snapshot)).to.be.true;
+
+    value.a = { b: 2 };
+    expect(comparator.equals(value, snapshot)).to.be.false;
+  });
+
+  it('skips ignored keys', function () {
+    const comparator = createDeepComparator({ ignoreKey: key => key.indexOf('$$') === 0 });
+    const value = { a: 1, $$hashKey: 'x' };
+    const snapshot = comparator.copy(value);
+    expect(snapshot).to.deep.equal({ a: 1 });
+
+    value.$$hashKey = 'y';
+    expect(comparator.equals(value, snapshot)).to.be.true;
+  });
+
+  it('shares unchanged parts with the previous copy', function () {
+    const value = { a: { b: [1, 2] }, c: { d: 1 } };
+    const first = copy(value);
+
+    value.c.d = 2;
+    const second = copy(value, first);
+    expect(second).to.not.equal(first);
+    expect(second.a).to.equal(first.a);
+    expect(second.c).to.not.equal(first.c);
+    expect(copy(value, second)).to.equal(second);
+  });
+
+  it('copies and compares Maps by their entries', function () {
+    const key = { id: 1 };
+    const value = new Map([[key, { a: 1 }], ['b', [2]]]);
+    const snapshot = copy(value);
+    expect(snapshot).to.be.an.instanceof(Map);
+    expect(snapshot.get(key)).to.not.equal(value.get(key));
+    expect(equals(value, snapshot)).to.be.true;
+    expect(copy(value, snapshot)).to.equal(snapshot);
+
+    value.get(key).a = 2;
+    expect(equals(value, snapshot)).to.be.false;
+    const second = copy(value, snapshot);
+    expect(second.get('b')).to.equal(snapshot.get('b'));
+    expect(equals(value, second)).to.be.true;
+
+    value.set('c', 3);
+    expect(equals(value, copy(value))).to.be.true;
+    expect(equals(value, second)).to.be.false;
+    expect(equals(value, copy({ b: [2], c: 3 }))).to.be.false;
+  });
+
+  it('compares Set members by reference', function () {
+    const member = { a: 1 };
+    const value = new Set([member, 2]);
+    const snapshot = copy(value);
+    expect(snapshot).to.be.an.instanceof(Set);
+    expect(snapshot).to.not.equal(value);
+    expect(equals(value, snapshot)).to.be.true;
+
+    value.add(3);
+    expect(equals(value, snapshot)).to.be.false;
+    value.delete(3);
+    value.delete(2);
+    value.add(4);
+    expect(equals(value, snapshot)).to.be.false;
+  });
+
+  it('copies and compares typed arrays element-wise', function () {
+    const value = new Uint8Array([1, 2, 3]);
+    const snapshot = copy(value);
+    expect(snapshot).to.be.an.instanceof(Uint8Array);
+    expect(snapshot).to.not.equal(value);
+    expect(equals(value, snapshot)).to.be.true;
+    expect(equals(new Int8Array([1, 2, 3]), snapshot)).to.be.false;
+
+    value[1] = 5;
+    expect(equals(value, snapshot)).to.be.false;
+  });
+
+  it('compares RegExps by source and flags', function () {
+    const snapshot = copy({ pattern: /a+/g });
+    expect(equals({ pattern: /a+/g }, snapshot)).to.be.true;
+    expect(equals({ pattern: /a+/i }, snapshot)).to.be.false;
+    expect(equals({ pattern: 'a+' }, snapshot)).to.be.false;
+  });
+
+  it('keeps DOM-like objects as references', function () {
+    const node = { nodeName: 'DIV', nodeType: 1, parentNode: null };
+    const snapshot = copy({ node });
+    expect(snapshot.node).to.equal(node);
+  });
+});
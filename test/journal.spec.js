@@ -0,0 +1,92 @@
+/* @flow */
+/* eslint-env mocha */
+import { expect } from 'chai';
+import { createJournal } from '../src/journal';
+
+const itWithProxy = typeof Proxy === 'function' ? it : it.skip;
+const itWithoutProxy = typeof Proxy === 'function' ? it.skip : it;
+
+describe('write journal', function () {
+  it('writes through to the target', function () {
+    const target = { a: 1, obj: { b: 2 } };
+    const journal = createJournal(target);
+
+    journal.target.a = 2;
+    journal.target.obj.b = 3;
+    expect(target).to.deep.equal({ a: 2, obj: { b: 3 } });
+  });
+
+  itWithProxy('restores written, added and deleted properties', function () {
+    const target = { a: 1, b: 2, obj: { c: 3 } };
+    const journal = createJournal(target);
+
+    journal.target.a = 10;
+    journal.target.a = 20;
+    journal.target.d = 4;
+    delete journal.target.b;
+    journal.target.obj.c = 30;
+    journal.rollback();
+    expect(target).to.deep.equal({ a: 1, b: 2, obj: { c: 3 } });
+  });
+
+  itWithProxy('restores arrays', function () {
+    const target = { arr: [1, 2] };
+    const journal = createJournal(target);
+
+    journal.target.arr.push(3);
+    journal.target.arr.shift();
+    journal.rollback();
+    expect(target.arr).to.deep.equal([1, 2]);
+  });
+
+  it('restores accessor properties', function () {
+    const target: Object = {};
+    Object.defineProperty(target, 'a', { get: () => 1, configurable: true, enumerable: true });
+    const journal = createJournal(target);
+
+    Object.defineProperty(journal.target, 'a', { value: 2, configurable: true });
+    journal.rollback();
+    expect(target.a).to.equal(1);
+    expect((Object.getOwnPropertyDescriptor(target, 'a'): any).get).to.be.a('function');
+  });
+
+  itWithoutProxy('restores own properties of the target written directly', function () {
+    const target: Object = { a: 1, b: 2 };
+    const journal = createJournal(target);
+
+    target.a = 2;
+    target.c = 3;
+    delete target.b;
+    journal.rollback();
+    expect(target).to.deep.equal({ a: 1, b: 2 });
+  });
+
+  itWithProxy('does not restore writes made directly to the target', function () {
+    const target: Object = { a: 1 };
+    const journal = createJournal(target);
+
+    journal.target.a = 2;
+    target.b = 3;
+    journal.rollback();
+    expect(target).to.deep.equal({ a: 1, b: 3 });
+  });
+
+  it('does not journal $ prefixed properties', function () {
+    const internal = { a: 1 };
+    const target = { $$internal: internal };
+    const journal = createJournal(target);
+
+    expect(journal.target.$$internal).to.equal(internal);
+  });
+
+  it('rolls back only once', function () {
+    const target = { a: 1 };
+    const journal = createJournal(target);
+
+    journal.target.a = 2;
+    journal.rollback();
+    target.a = 3;
+    journal.rollback();
+    expect(target.a).to.equal(3);
+  });
+});
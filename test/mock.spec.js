@@ -0,0 +1,81 @@
+/* @flow */
+/* eslint-env mocha */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Scope from '../src/scope';
+import { mockScope } from '../src/mock';
+
+describe('mock', function () {
+  describe('mockScope', function () {
+    it('flushes $evalAsync without real timers', function () {
+      const mock = mockScope();
+      const listenerFn = sinon.spy();
+      mock.scope.$watch('someValue', listenerFn);
+
+      mock.scope.$evalAsync(scope => { (scope: any).someValue = 233; });
+      expect(listenerFn).to.have.not.been.called;
+
+      mock.flush();
+      expect(listenerFn).to.have.been.calledWith(233);
+      mock.verifyNoPendingTasks();
+    });
+
+    it('flushes $applyAsync only', function () {
+      const mock = mockScope();
+      const appliedFn = sinon.spy();
+      mock.scope.$applyAsync(appliedFn);
+
+      mock.flushApplyAsync();
+      expect(appliedFn).to.have.been.calledOnce;
+      mock.verifyNoPendingTasks();
+    });
+
+    it('installs the clock on the root scope', function () {
+      const scope = new Scope();
+      const child = scope.$new(true);
+      const mock = mockScope(child);
+      expect(mock.scope).to.equal(scope);
+      expect(scope.$$scheduler).to.equal(mock.clock);
+    });
+
+    it('refuses scopes with pending tasks', function () {
+      const scope = new Scope();
+      scope.$applyAsync(() => {});
+      expect(() => mockScope(scope)).to.throw('pending tasks');
+      scope.$digest();
+    });
+
+    it('flushes delayed tasks and the tasks they schedule', function () {
+      const mock = mockScope();
+      const listenerFn = sinon.spy();
+      mock.scope.$watch('someValue', listenerFn);
+      mock.scope.$timeout(scope => {
+        scope.$timeout(scope => { (scope: any).someValue = 233; }, 100);
+      }, 100);
+
+      expect(mock.flush()).to.equal(2);
+      expect(listenerFn).to.have.been.calledWith(233);
+      expect(mock.clock.now()).to.equal(200);
+    });
+
+    it('lists pending async expressions', function () {
+      const mock = mockScope();
+      const child = mock.scope.$new();
+      child.$evalAsync('a = 1');
+      child.$applyAsync(function applyB() {});
+      mock.clock.schedule(() => {}, 100);
+
+      expect(() => { mock.verifyNoPendingTasks(); }).to.throw(
+        'There are 3 pending tasks:\n  $evalAsync: a = 1\n  $applyAsync: fn: applyB\n  scheduled task');
+    });
+
+    it('does not report tasks settled by a digest', function () {
+      const mock = mockScope();
+      mock.scope.$evalAsync(() => {});
+      mock.scope.$digest();
+
+      mock.verifyNoPendingTasks();
+      expect(mock.clock.pending()).to.equal(0);
+    });
+  });
+});
@@ -99,6 +99,12 @@ describe('Parse', function () {
       expect(parse('1 + 2').literal).to.be.false;
     });
 
+    it('marks expressions with calls and calls in inputs', function () {
+      expect(_.pick(parse('a + b'), ['calls', 'inputCalls'])).to.deep.equal({ calls: false, inputCalls: false });
+      expect(_.pick(parse('sum(items)'), ['calls', 'inputCalls'])).to.deep.equal({ calls: true, inputCalls: false });
+      expect(_.pick(parse('sum(items) + 1'), ['calls', 'inputCalls'])).to.deep.equal({ calls: true, inputCalls: true });
+    });
+
     it('marks integers constant', function () {
       expect(parse('233')).to.have.property('constant', true);
     });
@@ -0,0 +1,140 @@
+/* @flow */
+/* eslint-env mocha */
+import { expect } from 'chai';
+import sinon from 'sinon';
+import _ from 'lodash';
+import { createScheduler } from '../src/scheduler';
+
+describe('scheduler', function () {
+  it('defaults to macrotasks', function (done) {
+    const scheduler = createScheduler();
+    const task = sinon.spy();
+    scheduler.schedule(task);
+    Promise.resolve().then(() => {
+      expect(task).to.have.not.been.called;
+    });
+    setTimeout(() => {
+      expect(task).to.have.been.calledOnce;
+      done();
+    }, 10);
+  });
+
+  it('runs microtasks before macrotasks', function (done) {
+    const scheduler = createScheduler('microtask');
+    const task = sinon.spy();
+    scheduler.schedule(task);
+    expect(task).to.have.not.been.called;
+    setTimeout(() => {
+      expect(task).to.have.been.calledOnce;
+      done();
+    }, 0);
+  });
+
+  it('batches frame tasks together', function (done) {
+    const scheduler = createScheduler('frame');
+    const calls = [];
+    scheduler.schedule(() => calls.push(1));
+    const cancelled = scheduler.schedule(() => calls.push(2));
+    scheduler.schedule(() => calls.push(3));
+    scheduler.cancel(cancelled);
+    setTimeout(() => {
+      expect(calls).to.deep.equal([1, 3]);
+      done();
+    }, 50);
+  });
+
+  it('only runs manual tasks when flushed', function (done) {
+    const scheduler: any = createScheduler('manual');
+    const task = sinon.spy();
+    scheduler.schedule(() => scheduler.schedule(task));
+    scheduler.cancel(scheduler.schedule(task));
+    expect(scheduler.pending()).to.equal(1);
+
+    setTimeout(() => {
+      expect(task).to.have.not.been.called;
+      expect(scheduler.flush()).to.equal(1);
+      expect(task).to.have.not.been.called;
+      expect(scheduler.pending()).to.equal(1);
+
+      expect(scheduler.flush()).to.equal(1);
+      expect(task).to.have.been.calledOnce;
+      expect(scheduler.pending()).to.equal(0);
+      done();
+    }, 10);
+  });
+
+  it('runs delayed manual tasks when the clock reaches them', function () {
+    const scheduler: any = createScheduler('manual');
+    const calls = [];
+    scheduler.schedule(() => calls.push(30), 30);
+    scheduler.schedule(() => calls.push(10), 10);
+    scheduler.schedule(() => calls.push(0));
+
+    expect(scheduler.flush()).to.equal(1);
+    expect(calls).to.deep.equal([0]);
+
+    expect(scheduler.tick(10)).to.equal(1);
+    expect(calls).to.deep.equal([0, 10]);
+    expect(scheduler.flush()).to.equal(0);
+
+    scheduler.schedule(() => calls.push(15), 5);
+    expect(scheduler.tick(20)).to.equal(2);
+    expect(calls).to.deep.equal([0, 10, 15, 30]);
+    expect(scheduler.pending()).to.equal(0);
+  });
+
+  it('drains delayed manual tasks and the tasks they schedule', function () {
+    const scheduler: any = createScheduler('manual');
+    const task = sinon.spy();
+    scheduler.schedule(() => scheduler.schedule(task, 100), 10);
+    scheduler.cancel(scheduler.schedule(task));
+
+    expect(scheduler.drain()).to.equal(2);
+    expect(task).to.have.been.calledOnce;
+    expect(scheduler.now()).to.equal(110);
+  });
+
+  it('gives up draining manual tasks that keep rescheduling', function () {
+    const scheduler: any = createScheduler('manual');
+    const reschedule = () => { scheduler.schedule(reschedule); };
+    reschedule();
+
+    expect(() => { scheduler.drain(10); }).to.throw('Scheduler still has pending tasks after draining 10 tasks');
+  });
+
+  _.each(['macrotask', 'microtask'], strategy => {
+    it(`cancels ${strategy} tasks`, function (done) {
+      const scheduler = createScheduler(strategy);
+      const task = sinon.spy();
+      scheduler.cancel(scheduler.schedule(task));
+      setTimeout(() => {
+        expect(task).to.have.not.been.called;
+        done();
+      }, 10);
+    });
+  });
+
+  _.each(['macrotask', 'microtask', 'frame'], strategy => {
+    it(`delays ${strategy} tasks`, function (done) {
+      const scheduler = createScheduler(strategy);
+      const task = sinon.spy();
+      scheduler.schedule(task, 30);
+      setTimeout(() => {
+        expect(task).to.have.not.been.called;
+      }, 10);
+      setTimeout(() => {
+        expect(task).to.have.been.calledOnce;
+        done();
+      }, 80);
+    });
+  });
+
+  it('accepts a custom scheduler', function () {
+    const custom = { schedule: () => {}, cancel: () => {} };
+    expect(createScheduler(custom)).to.equal(custom);
+  });
+
+  it('throws on unknown strategies', function () {
+    expect(() => createScheduler((('idle': any): 'manual'))).to.throw('Unknown scheduler strategy: idle');
+  });
+});
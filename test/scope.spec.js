@@ -5,6 +5,12 @@ import { expect } from 'chai';
 import sinon from 'sinon';
 import _ from 'lodash';
 import { register } from '../src/filter';
+import { createScheduler } from '../src/scheduler';
+import { mockScope } from '../src/mock';
+
+const describeWithProxy = typeof Proxy === 'function' ? describe : describe.skip;
+const itWithProxy = typeof Proxy === 'function' ? it : it.skip;
+const itWithoutProxy = typeof Proxy === 'function' ? it.skip : it;
 
 describe('Scope', function () {
   let scope: Scope;
@@ -303,1380 +309,3672 @@ describe('Scope', function () {
     });
   });
 
-  describe('#$eval', function () {
-    it('executes $eval function and returns result', function () {
-      (scope: any).someValue = 233;
-
-      const result = scope.$eval(scope => (scope: any).someValue);
+  describe('#$watch options', function () {
+    let mock;
 
-      expect(result).to.equal(233);
+    beforeEach(function () {
+      mock = mockScope();
+      scope = mock.scope;
     });
 
-    it('passes the second function argument', function () {
-      (scope: any).someValue = 233;
+    it('compares with a custom equals function', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).user = { id: 1, name: 'aji' };
+      scope.$watch('user', listenerFn, { equals: (a, b) => a.id === b.id });
+      scope.$digest();
 
-      const result = scope.$eval((scope, arg) => (scope: any).someValue + arg, 2);
+      (scope: any).user = { id: 1, name: 'keal' };
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
 
-      expect(result).to.equal(235);
+      (scope: any).user = { id: 2, name: 'keal' };
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
     });
 
-    it('accepts expressions', function () {
-      expect(scope.$eval('233')).to.equal(233);
+    it('stores the last value with a custom copy function', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).arr = [1, 2];
+      scope.$watch('arr', listenerFn, {
+        equals: (a, b) => a.length === b.length,
+        copy: value => value.slice()
+      });
+      scope.$digest();
+
+      (scope: any).arr.push(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+      expect(listenerFn.lastCall.args[1]).to.deep.equal([1, 2]);
     });
-  });
 
-  describe('#$apply', function () {
-    it('executes $apply function and starts digest', function () {
-      (scope: any).someValue = 233;
+    it('keeps accepting a boolean for deep equality', function () {
       const listenerFn = sinon.spy();
+      (scope: any).arr = [1, 2];
+      scope.$watch('arr', listenerFn, true);
+      scope.$digest();
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+      (scope: any).arr.push(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('watches deeply with cycle detection and depth limits', function () {
+      const listenerFn = sinon.spy();
+      const tree: any = { name: 'root', $$hashKey: 1, child: { leaf: { value: 1 } } };
+      tree.self = tree;
+      (scope: any).tree = tree;
+      scope.$watch('tree', listenerFn, { deep: { maxDepth: 2, ignoreKey: key => key.indexOf('$$') === 0 } });
+      scope.$digest();
 
+      tree.$$hashKey = 2;
+      tree.child.leaf.value = 2;
       scope.$digest();
       expect(listenerFn).to.have.been.calledOnce;
 
-      scope.$apply(scope => { (scope: any).someValue = 235; });
+      tree.child.leaf = { value: 2 };
+      scope.$digest();
       expect(listenerFn).to.have.been.calledTwice;
+      expect(listenerFn.lastCall.args[1].self).to.equal(listenerFn.lastCall.args[1]);
     });
 
-    it('accepts expressions', function () {
-      (scope: any).aFn = _.constant(233);
-      expect(scope.$apply('aFn()')).to.equal(233);
-    });
-  });
-
-  describe('#$evalAsync', function () {
-    it('executes $evalAsync function later in the same cycle', function () {
-      (scope: any).someValue = 233;
-      (scope: any).asyncEvaluated = false;
-      (scope: any).asyncEvaluatedImmediately = false;
+    it('watches Maps deeply', function () {
+      const listenerFn = sinon.spy();
+      const map = new Map([['a', { value: 1 }]]);
+      (scope: any).map = map;
+      scope.$watch('map', listenerFn, { deep: true });
+      scope.$digest();
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        (newValue, oldValue, scope) => {
-          scope.$evalAsync(scope => { (scope: any).asyncEvaluated = true; });
-          (scope: any).asyncEvaluatedImmediately = (scope: any).asyncEvaluated;
-        }
-      );
+      map.get('a').value = 2;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
 
+      map.set('b', { value: 3 });
       scope.$digest();
-      expect((scope: any).asyncEvaluated).to.be.true;
-      expect((scope: any).asyncEvaluatedImmediately).to.be.false;
+      expect(listenerFn).to.have.been.calledThrice;
+      expect(listenerFn.lastCall.args[1]).to.be.an.instanceof(Map);
+      expect(listenerFn.lastCall.args[1].get('a')).to.deep.equal({ value: 2 });
     });
 
-    it('executes $evalAsync function added by watch function', function () {
-      (scope: any).someValue = 233;
-      (scope: any).asyncEvaluated = false;
+    it('debounces the listener', function () {
+      const listenerFn = sinon.spy();
+      scope.$watch('someValue', listenerFn, { debounce: 100 });
+      scope.$apply('someValue = 1');
+      mock.clock.tick(50);
+      scope.$apply('someValue = 2');
+      mock.clock.tick(50);
+      scope.$apply('someValue = 3');
+      expect(listenerFn).to.have.not.been.called;
 
-      scope.$watch(
-        scope => {
-          if (!(scope: any).asyncEvaluated) {
-            scope.$evalAsync(scope => { (scope: any).asyncEvaluated = true; });
-          }
-          return (scope: any).someValue;
-        }
-      );
+      mock.clock.tick(100);
+      expect(listenerFn).to.have.been.calledOnce;
+      expect(listenerFn).to.have.been.calledWith(3, 1);
+    });
 
-      scope.$digest();
-      expect((scope: any).asyncEvaluated).to.be.true;
+    it('calls a debounced listener on the leading edge when immediate', function () {
+      const listenerFn = sinon.spy();
+      scope.$watch('someValue', listenerFn, { debounce: 100, immediate: true });
+      scope.$apply('someValue = 1');
+      expect(listenerFn).to.have.been.calledWith(1, 1);
+
+      scope.$apply('someValue = 2');
+      scope.$apply('someValue = 3');
+      mock.clock.tick(100);
+      expect(listenerFn).to.have.been.calledTwice;
+      expect(listenerFn).to.have.been.calledWith(3, 1);
+      mock.verifyNoPendingTasks();
     });
 
-    it('executes $evalAsync function even when not dirty', function () {
-      (scope: any).someValue = 233;
-      (scope: any).asyncEvaluatedTime = 0;
+    it('throttles the listener', function () {
+      const listenerFn = sinon.spy();
+      scope.$watch('someValue', listenerFn, { throttle: 100 });
+      scope.$apply('someValue = 1');
+      expect(listenerFn).to.have.been.calledOnce;
 
-      scope.$watch(
-        scope => {
-          if ((scope: any).asyncEvaluatedTime < 2) {
-            scope.$evalAsync(scope => { (scope: any).asyncEvaluatedTime++; });
-          }
-          return (scope: any).someValue;
-        }
-      );
+      scope.$apply('someValue = 2');
+      scope.$apply('someValue = 3');
+      mock.clock.tick(99);
+      expect(listenerFn).to.have.been.calledOnce;
 
-      scope.$digest();
-      expect((scope: any).asyncEvaluatedTime).to.equal(2);
+      mock.clock.tick(1);
+      expect(listenerFn).to.have.been.calledTwice;
+      expect(listenerFn).to.have.been.calledWith(3, 1);
+
+      mock.clock.tick(100);
+      expect(listenerFn).to.have.been.calledTwice;
+      mock.verifyNoPendingTasks();
     });
 
-    it('throws error when halted by __evalAsyncs added by watch', function () {
-      scope.$watch(
-        scope => {
-          scope.$evalAsync(() => {});
-          return (scope: any).someValue;
-        }
-      );
+    it('digests the changes of delayed listeners', function () {
+      scope.$watch('someValue', (newValue, oldValue, scope) => {
+        (scope: any).otherValue = newValue;
+      }, { debounce: 10 });
+      const otherListener = sinon.spy();
+      scope.$watch('otherValue', otherListener);
+      scope.$apply('someValue = 233');
 
-      expect(() => { scope.$digest(); }).to.throw();
+      mock.clock.tick(10);
+      expect(otherListener).to.have.been.calledWith(233);
     });
 
-    it('schedules a digest in $evalAsync', function (done) {
-      (scope: any).someValue = 233;
-      const listernerFn = sinon.spy();
-
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listernerFn
-      );
+    it('cancels pending delayed listeners on unwatch', function () {
+      const listenerFn = sinon.spy();
+      const unwatch = scope.$watch('someValue', listenerFn, { debounce: 100 });
+      scope.$apply('someValue = 1');
 
-      scope.$evalAsync(() => {});
-      expect(listernerFn).to.have.not.been.called;
-      setTimeout(function () {
-        expect(listernerFn).to.have.been.calledOnce;
-        done();
-      }, 10);
+      unwatch();
+      mock.verifyNoPendingTasks();
+      expect(listenerFn).to.have.not.been.called;
     });
 
-    it('accepts expressions in $evalAsync', function (done) {
-      const spy = sinon.spy();
-      (scope: any).aFn = spy;
+    describe('dependency tracking', function () {
+      itWithProxy('skips function watchers whose dependencies did not change', function () {
+        const watchFn = sinon.spy(scope => scope.user.name);
+        const listenerFn = sinon.spy();
+        (scope: any).user = { name: 'aji' };
+        (scope: any).other = 1;
+        scope.$watch(watchFn, listenerFn, { track: true });
 
-      scope.$evalAsync('aFn()');
+        scope.$digest();
+        expect(listenerFn).to.have.been.calledWith('aji');
+        const calls = watchFn.callCount;
 
-      scope.$$postDigest(() => {
-        expect(spy).to.have.been.calledOnce;
-        done();
+        (scope: any).other = 2;
+        scope.$digest();
+        expect(watchFn.callCount).to.equal(calls);
+
+        (scope: any).user.name = 'keal';
+        scope.$digest();
+        expect(watchFn.callCount).to.be.above(calls);
+        expect(listenerFn).to.have.been.calledWith('keal');
       });
-    });
-  });
 
-  describe('#$applyAsync', function () {
-    it('apply function asynchronously', function (done) {
-      const listenerFn = sinon.spy();
+      it('tracks properties inherited from parent scopes', function () {
+        const listenerFn = sinon.spy();
+        const child = scope.$new();
+        (scope: any).count = 1;
+        child.$watch(scope => scope.count * 2, listenerFn, { track: true });
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+        scope.$digest();
+        (scope: any).count = 2;
+        scope.$digest();
+        expect(listenerFn).to.have.been.calledWith(4, 2);
+      });
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      it('records new dependencies each time the function runs', function () {
+        const listenerFn = sinon.spy();
+        _.assign(scope, { useA: true, a: 1, b: 2 });
+        scope.$watch(scope => scope.useA ? scope.a : scope.b, listenerFn, { track: true });
+        scope.$digest();
 
-      scope.$applyAsync(scope => { (scope: any).someValue = 233; });
-      expect(listenerFn).to.have.been.calledOnce;
+        (scope: any).useA = false;
+        scope.$digest();
+        expect(listenerFn).to.have.been.calledWith(2, 1);
 
-      setTimeout(() => {
-        expect(listenerFn).to.have.been.calledTwice;
-        done();
-      }, 10);
-    });
+        (scope: any).b = 3;
+        scope.$digest();
+        expect(listenerFn).to.have.been.calledWith(3, 2);
+      });
 
-    it('does not execute $applyAsync\'ed function in the same cycle', function (done) {
-      (scope: any).someValue = 233;
-      const asyncAppliedFn = sinon.spy();
+      it('passes the listener the original objects', function () {
+        const listenerFn = sinon.spy();
+        (scope: any).obj = {};
+        scope.$watch(scope => scope.obj, listenerFn, { track: true });
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        (newValue, oldValue, scope) => {
-          scope.$applyAsync(asyncAppliedFn);
-        }
-      );
+        scope.$digest();
+        expect(listenerFn.firstCall.args[0]).to.equal((scope: any).obj);
+      });
 
-      scope.$digest();
-      expect(asyncAppliedFn).to.have.not.been.called;
-      setTimeout(() => {
-        expect(asyncAppliedFn).to.have.been.calledOnce;
-        done();
-      }, 10);
+      it('passes the listener the original objects inside derived values', function () {
+        const listenerFn = sinon.spy();
+        const first = { id: 1 };
+        const second = { id: 2, tags: [{ name: 'a' }] };
+        (scope: any).items = [{ id: 0 }, first, second];
+        scope.$watch(scope => ({ found: scope.items.filter(item => item.id > 0) }), listenerFn,
+          { track: true, equals: _.isEqual });
+
+        scope.$digest();
+        const found = listenerFn.firstCall.args[0].found;
+        expect(found[0]).to.equal(first);
+        expect(found.indexOf(second)).to.equal(1);
+        expect(found[1].tags).to.equal(second.tags);
+      });
+
+      it('runs again after the function throws', function () {
+        let shouldThrow = true;
+        const watchFn = sinon.spy(scope => {
+          if (shouldThrow) {
+            throw new Error('boom');
+          }
+          return scope.a;
+        });
+        const listenerFn = sinon.spy();
+        scope.$exceptionHandler = _.noop;
+        (scope: any).a = 1;
+        scope.$watch(watchFn, listenerFn, { track: true });
+
+        scope.$digest();
+        shouldThrow = false;
+        scope.$digest();
+        expect(listenerFn).to.have.been.calledWith(1);
+      });
     });
+  });
 
-    it('coalesces many calls to $applyAsync', function (done) {
-      const watcherFn = sinon.spy(scope => (scope: any).someValue);
+  describe('watch priorities', function () {
+    it('runs watchers in registration order within a scope', function () {
+      const order = [];
+      _.times(3, i => scope.$watch(() => { order.push(i); }));
 
-      scope.$watch(
-        watcherFn
-      );
+      scope.$digest();
+      expect(order).to.deep.equal([0, 1, 2, 0, 1, 2]);
+    });
 
-      scope.$applyAsync(scope => { (scope: any).someValue = 233; });
-      scope.$applyAsync(scope => { (scope: any).someValue = 256; });
+    it('runs higher priority watchers first across scopes', function () {
+      const order = [];
+      const child = scope.$new();
+      const isolatedGrandChild = child.$new(true);
+      const sibling = scope.$new();
+      const watch = (s, name, priority) => {
+        s.$watch(() => name, () => { order.push(name); }, { priority });
+      };
+      watch(scope, 'layout', -1);
+      watch(isolatedGrandChild, 'data', 10);
+      watch(sibling, 'derived', 5);
+      watch(child, 'default');
+      watch(scope, 'moreData', 10);
 
-      setTimeout(() => {
-        expect(watcherFn).to.have.been.calledTwice;
-        done();
-      }, 10);
+      scope.$digest();
+      expect(order).to.deep.equal(['moreData', 'data', 'derived', 'default', 'layout']);
     });
 
-    it('cancels and flushes $applyAsync if digest', function (done) {
-      const watcherFn = sinon.spy(scope => (scope: any).someValue);
+    it('keeps track of the priorities used in each subtree', function () {
+      const child = scope.$new();
+      const unwatch = child.$watch('a', () => {}, { priority: 3 });
+      child.$watch('b', () => {}, { priority: 3 });
+      child.$new().$watch('c');
 
-      scope.$watch(
-        watcherFn
-      );
+      expect(scope.$$watchPriorities).to.deep.equal({ '0': 1, '3': 2 });
+      unwatch();
+      expect(scope.$$watchPriorities).to.deep.equal({ '0': 1, '3': 1 });
+      child.$destroy();
+      expect(scope.$$watchPriorities).to.deep.equal({});
+    });
 
-      scope.$applyAsync(scope => { (scope: any).someValue = 233; });
-      scope.$applyAsync(scope => { (scope: any).someValue = 256; });
+    it('ends the digest at the last dirty watcher across priorities', function () {
+      let executed = 0;
+      (scope: any).value = 1;
+      scope.$watch(() => { executed++; return (scope: any).value; }, () => {}, { priority: 1 });
+      scope.$watch(() => { executed++; }, () => {}, { priority: 0 });
 
       scope.$digest();
-      expect(watcherFn).to.have.been.calledTwice;
-      expect((scope: any).someValue).to.equal(256);
+      expect(executed).to.equal(4);
 
-      setTimeout(() => {
-        expect(watcherFn).to.have.been.calledTwice;
-        done();
-      }, 50);
+      (scope: any).value = 2;
+      scope.$digest();
+      expect(executed).to.equal(7);
     });
   });
 
-  describe('#$$phase', function () {
-    it('has a $$phase as the current digest phase', function () {
-      (scope: any).someValue = 233;
-      let phaseInWatch, phaseInListener, phaseInApply;
+  describe('digest TTL', function () {
+    beforeEach(function () {
+      (scope: any).counterA = 0;
+      (scope: any).counterB = 0;
+      scope.$watch('counterA', (newValue, oldValue, scope) => { (scope: any).counterB++; });
+      scope.$watch('counterB', (newValue, oldValue, scope) => { (scope: any).counterA++; });
+    });
 
-      scope.$watch(
-        scope => {
-          phaseInWatch = scope.$$phase;
-          return (scope: any).someValue;
-        },
-        (newValue, oldValue, scope) => {
-          phaseInListener = scope.$$phase;
-        }
-      );
+    it('gives up when watches keep changing each other', function () {
+      expect(() => { scope.$digest(); }).to.throw('Max digest iterations reached (10)');
+      expect(scope.$$phase).to.be.null;
+    });
 
-      scope.$apply(scope => {
-        phaseInApply = scope.$$phase;
-      });
+    it('lists the watch expressions fired in the last iterations', function () {
+      let error;
+      try {
+        scope.$digest();
+      } catch (err) {
+        error = err;
+      }
 
-      expect(phaseInWatch).to.equal('$digest');
-      expect(phaseInListener).to.equal('$digest');
-      expect(phaseInApply).to.equal('$apply');
+      expect(error.watchLog).to.have.lengthOf(5);
+      expect(_.last(error.watchLog)).to.deep.equal([
+        { exp: 'counterA', newValue: 10, oldValue: 9, scope },
+        { exp: 'counterB', newValue: 11, oldValue: 10, scope }
+      ]);
+      expect(error.message).to.contain(`counterA (scope ${scope.$id}): 9 -> 10`);
     });
-  });
 
-  describe('#$$postDigest', function () {
-    it('runs a $$postDigest function after each digest', function () {
-      const postDigestFn = sinon.spy();
+    it('names function watchers in the message', function () {
+      const child = scope.$new();
+      child.$watch(function changing() { return {}; });
 
-      scope.$$postDigest(postDigestFn);
+      expect(() => { scope.$digest(); }).to.throw(`fn: changing (scope ${child.$id})`);
+    });
 
-      expect(postDigestFn).to.have.not.been.called;
+    it('allows configuring the TTL per root scope', function () {
+      scope = new Scope({ ttl: 20 });
+      (scope: any).counter = 0;
+      scope.$watch('counter', (newValue, oldValue, scope) => {
+        if (newValue < 15) {
+          (scope: any).counter++;
+        }
+      });
 
       scope.$digest();
-      expect(postDigestFn).to.have.been.calledOnce;
+      expect((scope: any).counter).to.equal(15);
 
+      const isolatedChild = scope.$new(true);
+      isolatedChild.$watch(() => ({}));
+      expect(() => { isolatedChild.$digest(); }).to.throw('Max digest iterations reached (20)');
+    });
+  });
+
+  describe('#$profile', function () {
+    it('does not profile by default', function () {
+      scope.$watch('someValue');
       scope.$digest();
-      expect(postDigestFn).to.have.been.calledOnce;
+
+      expect(scope.$profileReport()).to.be.null;
     });
 
-    it('does not include $$postDigest in a digest', function () {
+    it('counts evaluations and dirty checks per watcher', function () {
+      scope.$profile();
       (scope: any).someValue = 233;
+      scope.$watch('someValue');
+      scope.$new().$watch('otherValue');
 
-      scope.$$postDigest(() => { (scope: any).someValue = 256; });
+      scope.$digest();
+      (scope: any).someValue = 256;
+      scope.$digest();
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        (newValue, oldValue, scope) => { (scope: any).watchedValue = newValue; }
-      );
+      const report = scope.$profileReport();
+      expect(report.digests).to.equal(2);
+      const lastSome = _.find(report.lastDigest, { exp: 'someValue' });
+      expect(lastSome).to.include({ scopeId: scope.$id, evaluations: 2, dirty: 1 });
+      const totalSome = _.find(report.cumulative, { exp: 'someValue' });
+      expect(totalSome).to.include({ evaluations: 4, dirty: 2 });
+      const totalOther = _.find(report.cumulative, { exp: 'otherValue' });
+      expect(totalOther).to.include({ evaluations: 3, dirty: 1 });
+    });
 
-      scope.$digest();
-      expect((scope: any).watchedValue).to.equal(233);
+    it('sorts watchers by the time they took', function () {
+      scope = new Scope({ profile: true });
+      scope.$watch('fast');
+      scope.$watch(function slow() {
+        const start = Date.now();
+        while (Date.now() - start < 5) {}
+        return 233;
+      }, () => {});
 
       scope.$digest();
-      expect((scope: any).watchedValue).to.equal(256);
+      const report = scope.$profileReport();
+      expect(_.map(report.lastDigest, 'exp')).to.deep.equal(['fn: slow', 'fast']);
+      expect(report.lastDigest[0].watchTime).to.be.at.least(5);
+      expect(report.lastDigest[0].totalTime).to.equal(
+        report.lastDigest[0].watchTime + report.lastDigest[0].listenerTime);
+    });
+
+    it('can be turned off', function () {
+      scope.$profile();
+      scope.$new(true).$profile(false);
+
+      expect(scope.$profileReport()).to.be.null;
     });
   });
 
-  describe('#$watchGroup', function () {
-    it('takes watches as an array and calls listener with arrays', function () {
-      (scope: any).someValue = 0;
-      (scope: any).anotherValue = 1;
+  describe('#$computed', function () {
+    let counted;
 
-      scope.$watchGroup([
-        scope => (scope: any).someValue,
-        scope => (scope: any).anotherValue
-      ], (newValues, oldValues, scope) => {
-        (scope: any).gotNewValues = newValues;
-        (scope: any).gotOldValues = oldValues;
-      });
+    beforeEach(function () {
+      counted = sinon.spy(value => value);
+      register('counted', () => counted);
+    });
 
-      scope.$digest();
-      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
-      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
+    it('defines a property computed from an expression', function () {
+      (scope: any).a = 1;
+      (scope: any).b = 2;
+      scope.$computed('sum', 'a + b');
+
+      expect((scope: any).sum).to.equal(3);
+      (scope: any).b = 3;
+      expect((scope: any).sum).to.equal(4);
     });
 
-    it('only calls listener once per digest', function () {
-      const listenerFn = sinon.spy();
-      (scope: any).someValue = 0;
-      (scope: any).anotherValue = 1;
+    it('recomputes only when the inputs change', function () {
+      const compute = sinon.spy(scope => (scope: any).items.length * (scope: any).factor);
+      (scope: any).items = [1, 2];
+      (scope: any).factor = 2;
+      scope.$computed('total', compute, ['items', 'factor']);
+      expect(compute).to.have.not.been.called;
 
-      scope.$watchGroup([
-        scope => (scope: any).someValue,
-        scope => (scope: any).anotherValue
-      ], listenerFn);
+      expect((scope: any).total).to.equal(4);
+      expect((scope: any).total).to.equal(4);
+      expect(compute).to.have.been.calledOnce;
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      (scope: any).factor = 3;
+      expect((scope: any).total).to.equal(6);
+      expect(compute).to.have.been.calledTwice;
     });
 
-    it('uses the same array of old and new values when first run', function () {
-      (scope: any).someValue = 0;
-      (scope: any).anotherValue = 1;
+    it('uses the inputs tracked by parse for expressions', function () {
+      (scope: any).a = 1;
+      (scope: any).b = 2;
+      scope.$computed('value', 'a + b | counted');
 
-      scope.$watchGroup([
-        scope => (scope: any).someValue,
-        scope => (scope: any).anotherValue
-      ], (newValues, oldValues, scope) => {
-        (scope: any).gotOldValues = oldValues;
-        (scope: any).gotNewValues = newValues;
-      });
+      expect((scope: any).value).to.equal(3);
+      expect((scope: any).value).to.equal(3);
+      expect(counted).to.have.been.calledOnce;
 
-      scope.$digest();
-      expect((scope: any).gotOldValues).to.equal((scope: any).gotNewValues);
+      (scope: any).a = 2;
+      expect((scope: any).value).to.equal(4);
+      expect(counted).to.have.been.calledTwice;
     });
 
-    it('uses different arrays of old and new values for subsequent runs', function () {
-      (scope: any).someValue = 0;
-      (scope: any).anotherValue = 1;
-
-      scope.$watchGroup([
-        scope => (scope: any).someValue,
-        scope => (scope: any).anotherValue
-      ], (newValues, oldValues, scope) => {
-        (scope: any).gotOldValues = oldValues;
-        (scope: any).gotNewValues = newValues;
-      });
+    it('computes calls once per change of the dependencies', function () {
+      const sum = sinon.spy(items => _.sum(items));
+      _.assign(scope, { sum, items: [1, 2] });
+      scope.$computed('total', 'sum(items) + 1', ['items']);
 
-      scope.$digest();
-      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
+      expect((scope: any).total).to.equal(4);
+      expect((scope: any).total).to.equal(4);
+      expect((scope: any).total).to.equal(4);
+      expect(sum).to.have.been.calledOnce;
 
-      (scope: any).anotherValue = 2;
-      scope.$digest();
-      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
-      expect((scope: any).gotNewValues).to.deep.equal([0, 2]);
+      (scope: any).items = [1, 2, 3];
+      expect((scope: any).total).to.equal(7);
+      expect(sum).to.have.been.calledTwice;
     });
 
-    it('calls the listener once when the watch array is empty', function () {
-      (scope: any).someValue = 0;
-      (scope: any).anotherValue = 1;
-
-      scope.$watchGroup([], (newValues, oldValues, scope) => {
-        (scope: any).gotOldValues = oldValues;
-        (scope: any).gotNewValues = newValues;
-      });
+    it('requires dependencies for calls and functions', function () {
+      (scope: any).sum = items => _.sum(items);
 
-      scope.$digest();
-      expect((scope: any).gotOldValues).to.be.an('array').and.empty;
-      expect((scope: any).gotNewValues).to.be.an('array').and.empty;
+      expect(() => scope.$computed('total', 'sum(items)')).to.throw('Computed property total needs explicit dependencies');
+      expect(() => scope.$computed('total', 'sum(items) + 1')).to.throw('Computed property total needs explicit dependencies');
+      expect(() => scope.$computed('total', scope => scope.sum(scope.items))).to.throw(
+        'Computed property total needs explicit dependencies');
+      expect(scope.hasOwnProperty('total')).to.be.false;
     });
 
-    it('can be deregistered', function () {
-      (scope: any).someValue = 0;
-      (scope: any).anotherValue = 1;
+    it('can be read by watchers and children', function () {
       const listenerFn = sinon.spy();
-
-      const destroyGroup = scope.$watchGroup([
-        scope => (scope: any).someValue,
-        scope => (scope: any).anotherValue
-      ], listenerFn);
+      (scope: any).name = 'aji';
+      scope.$computed('greeting', '"hello " + name');
+      const child = scope.$new();
+      child.$watch('greeting', listenerFn);
 
       scope.$digest();
-      (scope: any).anotherValue = 2;
-      destroyGroup();
+      expect(listenerFn).to.have.been.calledWith('hello aji');
+
+      (scope: any).name = 'keal';
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect(listenerFn).to.have.been.calledWith('hello keal');
     });
 
-    it('does not call the zero-watch listener when deregistered first', function () {
-      const listenerFn = sinon.spy();
+    it('can be removed', function () {
+      (scope: any).a = 1;
+      const remove = scope.$computed('double', 'a * 2');
+      expect((scope: any).double).to.equal(2);
 
-      const destroyGroup = scope.$watchGroup([], listenerFn);
+      remove();
+      expect((scope: any).double).to.be.undefined;
+    });
 
-      destroyGroup();
-      scope.$digest();
+    it('throws when assigned on the scope or its children', function () {
+      (scope: any).a = 1;
+      scope.$computed('double', 'a * 2');
+      const child = scope.$new();
 
-      expect(listenerFn).to.have.not.been.called;
+      expect(() => { (scope: any).double = 3; }).to.throw('Cannot assign to computed property double');
+      expect(() => { (child: any).double = 3; }).to.throw('Cannot assign to computed property double');
+      expect(() => { scope.$eval('double = 3'); }).to.throw('Cannot assign to computed property double');
+      expect((child: any).double).to.equal(2);
     });
   });
 
-  describe('#$watchCollection', function () {
-    it('works like a normal watch for non-colletions', function () {
+  describe('#$eval', function () {
+    it('executes $eval function and returns result', function () {
       (scope: any).someValue = 233;
-      let value;
-      const listenerFn = sinon.spy((newValue, oldValue, scope) => { value = oldValue; });
-
-      scope.$watchCollection(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
-      expect(value).to.equal(233);
 
-      (scope: any).someValue = 256;
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      const result = scope.$eval(scope => (scope: any).someValue);
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      expect(result).to.equal(233);
     });
 
-    it('correctly handles NaNs', function () {
-      (scope: any).someValue = 0 / 0;
-      const listenerFn = sinon.spy();
+    it('passes the second function argument', function () {
+      (scope: any).someValue = 233;
 
-      scope.$watchCollection(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+      const result = scope.$eval((scope, arg) => (scope: any).someValue + arg, 2);
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect(result).to.equal(235);
     });
 
-    it('notices when the value becomes an array', function () {
-      const listenerFn = sinon.spy();
-
-      scope.$watchCollection(
-        scope => (scope: any).arr,
-        listenerFn
-      );
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
-
-      (scope: any).arr = [0, 1];
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+    it('accepts expressions', function () {
+      expect(scope.$eval('233')).to.equal(233);
     });
+  });
 
-    it('detects new items in an array', function () {
-      (scope: any).arr = [0, 1, 2];
+  describe('#$apply', function () {
+    it('executes $apply function and starts digest', function () {
+      (scope: any).someValue = 233;
       const listenerFn = sinon.spy();
 
-      scope.$watchCollection(
-        scope => (scope: any).arr,
+      scope.$watch(
+        scope => (scope: any).someValue,
         listenerFn
       );
 
       scope.$digest();
       expect(listenerFn).to.have.been.calledOnce;
 
-      (scope: any).arr.push(3);
-      scope.$digest();
+      scope.$apply(scope => { (scope: any).someValue = 235; });
       expect(listenerFn).to.have.been.calledTwice;
+    });
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+    it('accepts expressions', function () {
+      (scope: any).aFn = _.constant(233);
+      expect(scope.$apply('aFn()')).to.equal(233);
     });
+  });
 
-    it('detects items removed in an array', function () {
-      (scope: any).arr = [0, 1, 2];
+  describe('#$transaction', function () {
+    it('applies the expression and digests', function () {
       const listenerFn = sinon.spy();
+      scope.$watch('a', listenerFn);
 
-      scope.$watchCollection(
-        scope => (scope: any).arr,
-        listenerFn
-      );
+      expect(scope.$transaction(scope => { (scope: any).a = 1; return 2; })).to.equal(2);
+      expect((scope: any).a).to.equal(1);
+      expect(listenerFn).to.have.been.calledWith(1);
+    });
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+    itWithProxy('rolls back all writes when the expression throws', function () {
+      _.assign(scope, { name: 'aji', form: { age: 1, tags: ['a'] } });
+      const form = (scope: any).form;
 
-      (scope: any).arr.shift();
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      expect(() => scope.$transaction(scope => {
+        scope.name = 'keal';
+        scope.email = 'keal@example.com';
+        scope.form.age = 2;
+        scope.form.tags.push('b');
+        delete scope.form.tags;
+        throw new Error('invalid');
+      })).to.throw('invalid');
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      expect((scope: any).name).to.equal('aji');
+      expect(scope.hasOwnProperty('email')).to.be.false;
+      expect((scope: any).form).to.equal(form);
+      expect(form).to.deep.equal({ age: 1, tags: ['a'] });
     });
 
-    it('detects an item replaced in an array', function () {
-      (scope: any).arr = [0, 1, 2];
+    it('digests once after rolling back', function () {
       const listenerFn = sinon.spy();
-
-      scope.$watchCollection(
-        scope => (scope: any).arr,
-        listenerFn
-      );
-
+      (scope: any).a = 1;
+      scope.$watch('a', listenerFn);
       scope.$digest();
+
+      expect(() => scope.$transaction(scope => {
+        scope.a = 2;
+        throw new Error('invalid');
+      })).to.throw('invalid');
       expect(listenerFn).to.have.been.calledOnce;
+      expect(scope.$$phase).to.be.null;
+    });
 
-      (scope: any).arr[1] = 10;
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+    itWithProxy('keeps writes other code makes while the promise is pending', function () {
+      _.assign(scope, { field: 'a', other: 1 });
+      let rejectPending = _.noop;
+      const pending = new Promise((resolve, reject) => { rejectPending = reject; });
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      const transaction = scope.$transaction(scope => {
+        scope.field = 'b';
+        return pending;
+      });
+      scope.$apply(scope => {
+        scope.other = 2;
+        scope.added = true;
+      });
+      rejectPending(new Error('invalid'));
+
+      return transaction.then(() => {
+        throw new Error('should have rejected');
+      }, err => {
+        expect(err.message).to.equal('invalid');
+        expect((scope: any).field).to.equal('a');
+        expect((scope: any).other).to.equal(2);
+        expect((scope: any).added).to.be.true;
+      });
     });
 
-    it('detects items reordered in an array', function () {
-      (scope: any).arr = [3, 1, 2];
-      const listenerFn = sinon.spy();
+    itWithoutProxy('refuses to wait for promises', function () {
+      (scope: any).a = 1;
 
-      scope.$watchCollection(
-        scope => (scope: any).arr,
-        listenerFn
-      );
+      return scope.$transaction(scope => {
+        scope.a = 2;
+        return Promise.resolve();
+      }).then(() => {
+        throw new Error('should have rejected');
+      }, err => {
+        expect(err.message).to.contain('without Proxy support');
+        expect((scope: any).a).to.equal(1);
+      });
+    });
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+    it('rolls back expressions', function () {
+      (scope: any).a = 1;
+      (scope: any).fail = () => { throw new Error('invalid'); };
 
-      (scope: any).arr.sort();
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      expect(() => scope.$transaction('a = 2; fail()')).to.throw('invalid');
+      expect((scope: any).a).to.equal(1);
+    });
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+    it('rolls back writes to inherited properties as shadowing', function () {
+      (scope: any).a = 1;
+      const child = scope.$new();
+
+      expect(() => child.$transaction(scope => {
+        scope.a = 2;
+        throw new Error('invalid');
+      })).to.throw('invalid');
+      expect(child.hasOwnProperty('a')).to.be.false;
+      expect((child: any).a).to.equal(1);
     });
 
-    it('correctly handles NaNs in an array', function () {
-      (scope: any).arr = [0, Number.NaN, 2, Number.NaN];
+    itWithProxy('resolves with the value of a resolved promise', function () {
       const listenerFn = sinon.spy();
+      scope.$watch('a', listenerFn);
+
+      return scope.$transaction(scope => Promise.resolve().then(() => {
+        scope.a = 1;
+        return 'done';
+      })).then(value => {
+        expect(value).to.equal('done');
+        expect((scope: any).a).to.equal(1);
+        expect(listenerFn).to.have.been.calledWith(1);
+      });
+    });
 
-      scope.$watchCollection(
-        scope => (scope: any).arr,
-        listenerFn
-      );
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+    itWithProxy('rolls back when the promise rejects', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).a = 1;
+      scope.$watch('a', listenerFn);
+
+      return scope.$transaction(scope => {
+        scope.a = 2;
+        return Promise.resolve().then(() => {
+          scope.b = 3;
+          throw new Error('invalid');
+        });
+      }).then(() => {
+        throw new Error('should have rejected');
+      }, err => {
+        expect(err.message).to.equal('invalid');
+        expect((scope: any).a).to.equal(1);
+        expect(scope.hasOwnProperty('b')).to.be.false;
+        expect(listenerFn).to.have.been.calledOnce;
+      });
     });
 
-    it('detects an item replaced in an argument object', function () {
-      (function () {
-        (scope: any).arrLike = arguments;
-      })(0, 1, 2);
+    itWithProxy('notifies proxy change detection of the rollback', function () {
+      const proxyScope = new Scope({ changeDetection: 'proxy' });
       const listenerFn = sinon.spy();
+      (proxyScope: any).form = { a: 1 };
+      proxyScope.$watch('form.a', listenerFn);
+      proxyScope.$digest();
+
+      const transaction = proxyScope.$transaction(scope => {
+        scope.form.a = 2;
+        return Promise.resolve().then(() => {
+          throw new Error('invalid');
+        });
+      });
+      proxyScope.$digest();
+      expect(listenerFn).to.have.been.calledWith(2, 1);
 
-      scope.$watchCollection(
-        scope => (scope: any).arrLike,
-        listenerFn
-      );
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
-
-      (scope: any).arrLike[1] = 233;
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      return transaction.catch(() => {
+        expect(listenerFn).to.have.been.calledThrice;
+        expect(listenerFn).to.have.been.calledWith(1, 2);
+      });
     });
+  });
 
-    it('detects an item replaced in a NodeList object', function () {
-      document.documentElement.appendChild(document.createElement('div'));
-      (scope: any).arrLike = document.getElementsByTagName('div');
-      const listenerFn = sinon.spy();
+  describe('#$evalAsync', function () {
+    it('executes $evalAsync function later in the same cycle', function () {
+      (scope: any).someValue = 233;
+      (scope: any).asyncEvaluated = false;
+      (scope: any).asyncEvaluatedImmediately = false;
 
-      scope.$watchCollection(
-        scope => (scope: any).arrLike,
-        listenerFn
+      scope.$watch(
+        scope => (scope: any).someValue,
+        (newValue, oldValue, scope) => {
+          scope.$evalAsync(scope => { (scope: any).asyncEvaluated = true; });
+          (scope: any).asyncEvaluatedImmediately = (scope: any).asyncEvaluated;
+        }
       );
 
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
-
-      document.documentElement.appendChild(document.createElement('div'));
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      expect((scope: any).asyncEvaluated).to.be.true;
+      expect((scope: any).asyncEvaluatedImmediately).to.be.false;
     });
 
-    it('notices when the value becomes an object', function () {
-      const listenerFn = sinon.spy();
+    it('executes $evalAsync function added by watch function', function () {
+      (scope: any).someValue = 233;
+      (scope: any).asyncEvaluated = false;
 
-      scope.$watchCollection(
-        scope => (scope: any).obj,
-        listenerFn
+      scope.$watch(
+        scope => {
+          if (!(scope: any).asyncEvaluated) {
+            scope.$evalAsync(scope => { (scope: any).asyncEvaluated = true; });
+          }
+          return (scope: any).someValue;
+        }
       );
 
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
-
-      (scope: any).obj = { a: 1 };
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
-
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      expect((scope: any).asyncEvaluated).to.be.true;
     });
 
-    it('detects when an attribute is added to an object', function () {
-      (scope: any).obj = { a: 1 };
-      const listenerFn = sinon.spy();
+    it('executes $evalAsync function even when not dirty', function () {
+      (scope: any).someValue = 233;
+      (scope: any).asyncEvaluatedTime = 0;
 
-      scope.$watchCollection(
-        scope => (scope: any).obj,
-        listenerFn
+      scope.$watch(
+        scope => {
+          if ((scope: any).asyncEvaluatedTime < 2) {
+            scope.$evalAsync(scope => { (scope: any).asyncEvaluatedTime++; });
+          }
+          return (scope: any).someValue;
+        }
       );
 
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect((scope: any).asyncEvaluatedTime).to.equal(2);
+    });
 
-      (scope: any).obj.b = 2;
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+    it('throws error when halted by __evalAsyncs added by watch', function () {
+      scope.$watch(
+        scope => {
+          scope.$evalAsync(() => {});
+          return (scope: any).someValue;
+        }
+      );
 
-      scope.$digest();
+      expect(() => { scope.$digest(); }).to.throw();
     });
 
-    it('detects when an attribute is changed in an object', function () {
-      (scope: any).obj = { a: 1 };
-      const listenerFn = sinon.spy();
+    it('schedules a digest in $evalAsync', function (done) {
+      (scope: any).someValue = 233;
+      const listernerFn = sinon.spy();
 
-      scope.$watchCollection(
-        scope => (scope: any).obj,
-        listenerFn
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listernerFn
       );
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      scope.$evalAsync(() => {});
+      expect(listernerFn).to.have.not.been.called;
+      setTimeout(function () {
+        expect(listernerFn).to.have.been.calledOnce;
+        done();
+      }, 10);
+    });
 
-      (scope: any).obj.a = 2;
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+    it('accepts expressions in $evalAsync', function (done) {
+      const spy = sinon.spy();
+      (scope: any).aFn = spy;
 
-      scope.$digest();
+      scope.$evalAsync('aFn()');
+
+      scope.$$postDigest(() => {
+        expect(spy).to.have.been.calledOnce;
+        done();
+      });
     });
+  });
 
-    it('detects when an attribute is deleted to an object', function () {
-      (scope: any).obj = { a: 1 };
+  describe('#$applyAsync', function () {
+    it('apply function asynchronously', function (done) {
       const listenerFn = sinon.spy();
 
-      scope.$watchCollection(
-        scope => (scope: any).obj,
+      scope.$watch(
+        scope => (scope: any).someValue,
         listenerFn
       );
 
       scope.$digest();
       expect(listenerFn).to.have.been.calledOnce;
 
-      delete (scope: any).obj.a;
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      scope.$applyAsync(scope => { (scope: any).someValue = 233; });
+      expect(listenerFn).to.have.been.calledOnce;
+
+      setTimeout(() => {
+        expect(listenerFn).to.have.been.calledTwice;
+        done();
+      }, 10);
     });
 
-    it('correctly handles NaNs in an object', function () {
-      (scope: any).obj = { a: Number.NaN };
-      const listenerFn = sinon.spy();
+    it('does not execute $applyAsync\'ed function in the same cycle', function (done) {
+      (scope: any).someValue = 233;
+      const asyncAppliedFn = sinon.spy();
 
-      scope.$watchCollection(
-        scope => (scope: any).obj,
-        listenerFn
+      scope.$watch(
+        scope => (scope: any).someValue,
+        (newValue, oldValue, scope) => {
+          scope.$applyAsync(asyncAppliedFn);
+        }
       );
 
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect(asyncAppliedFn).to.have.not.been.called;
+      setTimeout(() => {
+        expect(asyncAppliedFn).to.have.been.calledOnce;
+        done();
+      }, 10);
     });
 
-    it('does not consider object with length property as an array', function () {
-      (scope: any).obj = { length: 233, someKey: 1 };
-      const listenerFn = sinon.spy();
+    it('coalesces many calls to $applyAsync', function (done) {
+      const watcherFn = sinon.spy(scope => (scope: any).someValue);
 
-      scope.$watchCollection(
-        scope => (scope: any).obj,
-        listenerFn
+      scope.$watch(
+        watcherFn
       );
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      scope.$applyAsync(scope => { (scope: any).someValue = 233; });
+      scope.$applyAsync(scope => { (scope: any).someValue = 256; });
 
-      (scope: any).obj.otherKey = 256;
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      setTimeout(() => {
+        expect(watcherFn).to.have.been.calledTwice;
+        done();
+      }, 10);
     });
 
-    it('get newValue and oldValue in listenerFn', function () {
-      (scope: any).arr = [0, 1, 2];
-      let gotNewValue;
-      let gotOldValue;
+    it('cancels and flushes $applyAsync if digest', function (done) {
+      const watcherFn = sinon.spy(scope => (scope: any).someValue);
 
-      scope.$watchCollection(
-        scope => (scope: any).arr,
-        (newValue, oldValue) => {
-          gotNewValue = newValue;
-          gotOldValue = oldValue;
-        }
+      scope.$watch(
+        watcherFn
       );
 
-      scope.$digest();
-      expect(gotNewValue).to.deep.equal([0, 1, 2]);
-      expect(gotOldValue).to.deep.equal([0, 1, 2]);
+      scope.$applyAsync(scope => { (scope: any).someValue = 233; });
+      scope.$applyAsync(scope => { (scope: any).someValue = 256; });
 
-      (scope: any).arr.push(3);
       scope.$digest();
-      expect(gotNewValue).to.deep.equal([0, 1, 2, 3]);
-      expect(gotOldValue).to.deep.equal([0, 1, 2]);
-    });
+      expect(watcherFn).to.have.been.calledTwice;
+      expect((scope: any).someValue).to.equal(256);
 
-    it('accepts expressions for watch functions', function () {
-      let theValue;
-      (scope: any).arr = [0, 1, 2];
-      scope.$watchCollection('arr', newValue => { theValue = newValue; });
-      scope.$digest();
-      expect(theValue).to.deep.equal([0, 1, 2]);
+      setTimeout(() => {
+        expect(watcherFn).to.have.been.calledTwice;
+        done();
+      }, 50);
     });
   });
 
-  describe('Events', function () {
-    let child: Scope, isolatedChild: Scope;
+  describe('scheduler', function () {
+    let scheduler: any;
 
-    beforeEach(() => {
-      child = scope.$new();
-      isolatedChild = scope.$new(true);
+    beforeEach(function () {
+      scheduler = createScheduler('manual');
+      scope = new Scope({ scheduler });
     });
 
-    it('allows registering listeners', function () {
-      const listener1 = () => {};
-      const listener2 = () => {};
-      const listener3 = () => {};
+    it('schedules $evalAsync digests on the root scheduler', function () {
+      const listenerFn = sinon.spy();
+      const isolatedChild = scope.$new(true);
+      isolatedChild.$watch(scope => (scope: any).someValue, listenerFn);
 
-      scope.$on('aEvent', listener1);
-      scope.$on('aEvent', listener2);
-      scope.$on('bEvent', listener3);
+      isolatedChild.$evalAsync(scope => { (scope: any).someValue = 233; });
+      expect(listenerFn).to.have.not.been.called;
 
-      expect(scope.$$listeners).to.deep.equal({
-        aEvent: [listener1, listener2],
-        bEvent: [listener3]
-      });
+      scheduler.flush();
+      expect(listenerFn).to.have.been.calledWith(233);
     });
 
-    it('registers different listeners for every scope', function () {
-      const listener1 = () => {};
-      const listener2 = () => {};
-      const listener3 = () => {};
-
-      scope.$on('aEvent', listener1);
-      child.$on('aEvent', listener2);
-      isolatedChild.$on('aEvent', listener3);
+    it('schedules $applyAsync on the root scheduler', function () {
+      const appliedFn = sinon.spy();
+      scope.$applyAsync(appliedFn);
+      scope.$applyAsync(appliedFn);
+      expect(scheduler.pending()).to.equal(1);
 
-      expect(scope.$$listeners).to.deep.equal({ aEvent: [listener1] });
-      expect(child.$$listeners).to.deep.equal({ aEvent: [listener2] });
-      expect(isolatedChild.$$listeners).to.deep.equal({ aEvent: [listener3] });
+      scheduler.flush();
+      expect(appliedFn).to.have.been.calledTwice;
     });
 
-    _.each(['$emit', '$broadcast'], method => {
-      it(`calls the listeners of the matching event on ${method}`, function () {
-        const listener1 = sinon.spy();
-        const listener2 = sinon.spy();
-        const listener3 = sinon.spy();
+    it('cancels the scheduled $applyAsync on digest', function () {
+      const appliedFn = sinon.spy();
+      scope.$applyAsync(appliedFn);
 
-        scope.$on('aEvent', listener1);
-        scope.$on('aEvent', listener2);
-        scope.$on('bEvent', listener3);
+      scope.$digest();
+      expect(appliedFn).to.have.been.calledOnce;
+      expect(scheduler.pending()).to.equal(0);
+    });
 
-        (scope: any)[method]('aEvent');
-        expect(listener1).to.have.been.calledOnce;
-        expect(listener2).to.have.been.calledOnce;
-        expect(listener3).to.have.not.been.called;
+    it('runs timers when the manual clock reaches them', function () {
+      const intervalFn = sinon.spy();
+      const timeoutFn = sinon.spy();
+      scope.$interval(intervalFn, 10);
+      scope.$timeout(timeoutFn, 15);
+
+      expect(scheduler.flush()).to.equal(0);
+      expect(intervalFn).to.have.not.been.called;
+
+      scheduler.tick(25);
+      expect(intervalFn).to.have.been.calledTwice;
+      expect(timeoutFn).to.have.been.calledOnce;
+      expect(scheduler.pending()).to.equal(1);
+    });
+
+    it('accepts a strategy name', function (done) {
+      scope = new Scope({ scheduler: 'microtask' });
+      const appliedFn = sinon.spy();
+      scope.$applyAsync(appliedFn);
+
+      Promise.resolve().then(() => {
+        expect(appliedFn).to.have.been.calledOnce;
+        done();
       });
+    });
+  });
 
-      it(`passes an event object with a name to listener on ${method}`, function () {
-        const listener = sinon.spy();
-        scope.$on('aEvent', listener);
+  describe('timers', function () {
+    let mock;
 
-        (scope: any)[method]('aEvent');
-        expect(listener).to.have.been.calledOnce;
-        expect(listener.lastCall.args[0].name).to.equal('aEvent');
+    beforeEach(function () {
+      mock = mockScope();
+      scope = mock.scope;
+    });
+
+    it('runs $timeout functions in $apply after the delay', function () {
+      const listenerFn = sinon.spy();
+      scope.$watch('someValue', listenerFn);
+      scope.$digest();
+
+      scope.$timeout(scope => { (scope: any).someValue = 233; }, 100);
+      mock.clock.tick(99);
+      expect((scope: any).someValue).to.be.undefined;
+
+      mock.clock.tick(1);
+      expect(listenerFn).to.have.been.calledTwice;
+      expect(listenerFn).to.have.been.calledWith(233);
+      mock.verifyNoPendingTasks();
+    });
+
+    it('does not digest when invokeApply is false', function () {
+      const listenerFn = sinon.spy();
+      scope.$watch('someValue', listenerFn);
+      scope.$digest();
+
+      scope.$timeout('someValue = 233', 10, false);
+      mock.clock.tick(10);
+      expect((scope: any).someValue).to.equal(233);
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('cancels $timeout functions', function () {
+      const timeoutFn = sinon.spy();
+      const cancel = scope.$timeout(timeoutFn, 10);
+
+      cancel();
+      mock.clock.tick(10);
+      expect(timeoutFn).to.have.not.been.called;
+      expect(scope.$$listeners.$destroy).to.deep.equal([null]);
+    });
+
+    it('runs $interval functions count times', function () {
+      const intervalFn = sinon.spy();
+      scope.$interval(intervalFn, 10, 3);
+
+      mock.clock.tick(25);
+      expect(intervalFn).to.have.been.calledTwice;
+
+      mock.clock.tick(100);
+      expect(intervalFn).to.have.been.calledThrice;
+      mock.verifyNoPendingTasks();
+    });
+
+    it('allows cancelling $interval from its own function', function () {
+      let cancel;
+      const intervalFn = sinon.spy(() => {
+        if (intervalFn.callCount === 2) {
+          cancel();
+        }
       });
+      cancel = scope.$interval(intervalFn, 10);
 
-      it(`passes the same event object to each listener on ${method}`, function () {
-        const listener1 = sinon.spy();
-        const listener2 = sinon.spy();
+      mock.clock.tick(100);
+      expect(intervalFn).to.have.been.calledTwice;
+      mock.verifyNoPendingTasks();
+    });
 
-        scope.$on('aEvent', listener1);
-        scope.$on('aEvent', listener2);
+    it('cancels timers when the scope or an ancestor is destroyed', function () {
+      const child = scope.$new();
+      const grandChild = child.$new(true);
+      const timeoutFn = sinon.spy();
+      const intervalFn = sinon.spy();
+      grandChild.$timeout(timeoutFn, 10);
+      child.$interval(intervalFn, 10);
 
-        (scope: any)[method]('aEvent');
-        expect(listener1.lastCall.args[0]).to.equal(listener2.lastCall.args[0]);
+      child.$destroy();
+      mock.clock.tick(100);
+      expect(timeoutFn).to.have.not.been.called;
+      expect(intervalFn).to.have.not.been.called;
+      mock.verifyNoPendingTasks();
+    });
+
+    it('passes timer exceptions to the $exceptionHandler', function () {
+      const handler = sinon.spy();
+      scope.$exceptionHandler = handler;
+      const timeoutFn = () => { throw new Error('error'); };
+      scope.$timeout(timeoutFn);
+
+      mock.flush();
+      expect(handler).to.have.been.calledOnce;
+      expect(handler.lastCall.args[1]).to.deep.equal({ phase: '$timeout', scope, expression: timeoutFn });
+    });
+  });
+
+  describe('#$$phase', function () {
+    it('has a $$phase as the current digest phase', function () {
+      (scope: any).someValue = 233;
+      let phaseInWatch, phaseInListener, phaseInApply;
+
+      scope.$watch(
+        scope => {
+          phaseInWatch = scope.$$phase;
+          return (scope: any).someValue;
+        },
+        (newValue, oldValue, scope) => {
+          phaseInListener = scope.$$phase;
+        }
+      );
+
+      scope.$apply(scope => {
+        phaseInApply = scope.$$phase;
       });
 
-      it(`passes additional arguments to listeners on ${method}`, function () {
-        const listener = sinon.spy();
-        scope.$on('aEvent', listener);
+      expect(phaseInWatch).to.equal('$digest');
+      expect(phaseInListener).to.equal('$digest');
+      expect(phaseInApply).to.equal('$apply');
+    });
+  });
 
-        (scope: any)[method]('aEvent', 'some', ['additional', 'arguments'], '...');
+  describe('#$$postDigest', function () {
+    it('runs a $$postDigest function after each digest', function () {
+      const postDigestFn = sinon.spy();
 
-        expect(listener.lastCall.args[1]).to.deep.equal('some');
-        expect(listener.lastCall.args[2]).to.deep.equal(['additional', 'arguments']);
-        expect(listener.lastCall.args[3]).to.deep.equal('...');
+      scope.$$postDigest(postDigestFn);
+
+      expect(postDigestFn).to.have.not.been.called;
+
+      scope.$digest();
+      expect(postDigestFn).to.have.been.calledOnce;
+
+      scope.$digest();
+      expect(postDigestFn).to.have.been.calledOnce;
+    });
+
+    it('does not include $$postDigest in a digest', function () {
+      (scope: any).someValue = 233;
+
+      scope.$$postDigest(() => { (scope: any).someValue = 256; });
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        (newValue, oldValue, scope) => { (scope: any).watchedValue = newValue; }
+      );
+
+      scope.$digest();
+      expect((scope: any).watchedValue).to.equal(233);
+
+      scope.$digest();
+      expect((scope: any).watchedValue).to.equal(256);
+    });
+  });
+
+  describe('#$watchGroup', function () {
+    it('takes watches as an array and calls listener with arrays', function () {
+      (scope: any).someValue = 0;
+      (scope: any).anotherValue = 1;
+
+      scope.$watchGroup([
+        scope => (scope: any).someValue,
+        scope => (scope: any).anotherValue
+      ], (newValues, oldValues, scope) => {
+        (scope: any).gotNewValues = newValues;
+        (scope: any).gotOldValues = oldValues;
       });
 
-      it(`returns the event object on ${method}`, function () {
-        const returnedEvent = (scope: any)[method]('aEvent');
+      scope.$digest();
+      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
+      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
+    });
 
-        expect(returnedEvent).to.be.an('object').and.have.property('name', 'aEvent');
+    it('only calls listener once per digest', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).someValue = 0;
+      (scope: any).anotherValue = 1;
+
+      scope.$watchGroup([
+        scope => (scope: any).someValue,
+        scope => (scope: any).anotherValue
+      ], listenerFn);
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('uses the same array of old and new values when first run', function () {
+      (scope: any).someValue = 0;
+      (scope: any).anotherValue = 1;
+
+      scope.$watchGroup([
+        scope => (scope: any).someValue,
+        scope => (scope: any).anotherValue
+      ], (newValues, oldValues, scope) => {
+        (scope: any).gotOldValues = oldValues;
+        (scope: any).gotNewValues = newValues;
       });
 
-      it(`can be deregistered ${method}`, function () {
-        const listener = sinon.spy();
-        const deregister = scope.$on('aEvent', listener);
+      scope.$digest();
+      expect((scope: any).gotOldValues).to.equal((scope: any).gotNewValues);
+    });
 
-        deregister();
-        (scope: any)[method]('aEvent');
+    it('uses different arrays of old and new values for subsequent runs', function () {
+      (scope: any).someValue = 0;
+      (scope: any).anotherValue = 1;
 
-        expect(listener).have.not.been.called;
+      scope.$watchGroup([
+        scope => (scope: any).someValue,
+        scope => (scope: any).anotherValue
+      ], (newValues, oldValues, scope) => {
+        (scope: any).gotOldValues = oldValues;
+        (scope: any).gotNewValues = newValues;
       });
 
-      it(`does not skip the next listener when removed on ${method}`, function () {
-        const listener = () => {
-          deregister();
-        };
-        const nextListener = sinon.spy();
-        const deregister = scope.$on('aEvent', listener);
-        scope.$on('aEvent', nextListener);
+      scope.$digest();
+      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
 
-        (scope: any)[method]('aEvent');
-        expect(nextListener).to.have.been.calledOnce;
+      (scope: any).anotherValue = 2;
+      scope.$digest();
+      expect((scope: any).gotOldValues).to.deep.equal([0, 1]);
+      expect((scope: any).gotNewValues).to.deep.equal([0, 2]);
+    });
+
+    it('calls the listener once when the watch array is empty', function () {
+      (scope: any).someValue = 0;
+      (scope: any).anotherValue = 1;
+
+      scope.$watchGroup([], (newValues, oldValues, scope) => {
+        (scope: any).gotOldValues = oldValues;
+        (scope: any).gotNewValues = newValues;
       });
 
-      it(`sets defaultPrevented when preventDefault called on ${method}`, function () {
-        scope.$on('aEvent', event => { event.preventDefault(); });
+      scope.$digest();
+      expect((scope: any).gotOldValues).to.be.an('array').and.empty;
+      expect((scope: any).gotNewValues).to.be.an('array').and.empty;
+    });
+
+    it('can be deregistered', function () {
+      (scope: any).someValue = 0;
+      (scope: any).anotherValue = 1;
+      const listenerFn = sinon.spy();
+
+      const destroyGroup = scope.$watchGroup([
+        scope => (scope: any).someValue,
+        scope => (scope: any).anotherValue
+      ], listenerFn);
+
+      scope.$digest();
+      (scope: any).anotherValue = 2;
+      destroyGroup();
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('does not call the zero-watch listener when deregistered first', function () {
+      const listenerFn = sinon.spy();
+
+      const destroyGroup = scope.$watchGroup([], listenerFn);
+
+      destroyGroup();
+      scope.$digest();
+
+      expect(listenerFn).to.have.not.been.called;
+    });
+
+    it('accepts string expressions', function () {
+      let gotValues;
+      _.assign(scope, { a: 1, b: { c: 2 } });
+      scope.$watchGroup(['a', 'b.c + 1'], newValues => { gotValues = _.clone(newValues); });
+      scope.$digest();
+
+      expect(gotValues).to.deep.equal([1, 3]);
+    });
+
+    it('tells the listener which indices changed', function () {
+      const listenerFn = sinon.spy();
+      _.assign(scope, { a: 1, b: 2, c: 3 });
+      scope.$watchGroup(['a', 'b', 'c'], listenerFn);
+      scope.$digest();
+      expect(listenerFn.lastCall.args[3]).to.deep.equal([0, 1, 2]);
+
+      _.assign(scope, { a: 2, c: 4 });
+      scope.$digest();
+      expect(listenerFn.lastCall.args[3]).to.deep.equal([0, 2]);
+    });
+
+    it('compares values deeply when asked to', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).arr = [1, 2];
+      scope.$watchGroup(['arr', 'arr.length'], listenerFn, true);
+      scope.$digest();
+
+      (scope: any).arr.push(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+      expect(listenerFn.lastCall.args[2]).to.equal(scope);
+      expect(listenerFn.lastCall.args[3]).to.deep.equal([0, 1]);
+    });
+
+    it('deregisters one-time groups once all members settle', function () {
+      const listenerFn = sinon.spy();
+      scope.$watchGroup(['::a', '::b'], listenerFn);
+      scope.$digest();
+
+      (scope: any).a = 1;
+      scope.$digest();
+      expect(scope.$$watchers).to.have.lengthOf(1);
+
+      (scope: any).b = 2;
+      scope.$digest();
+      expect(scope.$$watchers).to.be.empty;
+      expect(listenerFn.lastCall.args[0]).to.deep.equal([1, 2]);
+      expect(listenerFn.lastCall.args[3]).to.deep.equal([1]);
+    });
+  });
+
+  describe('#$watchCollection', function () {
+    it('works like a normal watch for non-colletions', function () {
+      (scope: any).someValue = 233;
+      let value;
+      const listenerFn = sinon.spy((newValue, oldValue, scope) => { value = oldValue; });
+
+      scope.$watchCollection(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+      expect(value).to.equal(233);
+
+      (scope: any).someValue = 256;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('correctly handles NaNs', function () {
+      (scope: any).someValue = 0 / 0;
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('notices when the value becomes an array', function () {
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arr,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).arr = [0, 1];
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('detects new items in an array', function () {
+      (scope: any).arr = [0, 1, 2];
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arr,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).arr.push(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('detects items removed in an array', function () {
+      (scope: any).arr = [0, 1, 2];
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arr,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).arr.shift();
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('detects an item replaced in an array', function () {
+      (scope: any).arr = [0, 1, 2];
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arr,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).arr[1] = 10;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('detects items reordered in an array', function () {
+      (scope: any).arr = [3, 1, 2];
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arr,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).arr.sort();
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('correctly handles NaNs in an array', function () {
+      (scope: any).arr = [0, Number.NaN, 2, Number.NaN];
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arr,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('detects an item replaced in an argument object', function () {
+      (function () {
+        (scope: any).arrLike = arguments;
+      })(0, 1, 2);
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arrLike,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).arrLike[1] = 233;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('detects an item replaced in a NodeList object', function () {
+      document.documentElement.appendChild(document.createElement('div'));
+      (scope: any).arrLike = document.getElementsByTagName('div');
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).arrLike,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      document.documentElement.appendChild(document.createElement('div'));
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('notices when the value becomes an object', function () {
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).obj,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).obj = { a: 1 };
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('detects when an attribute is added to an object', function () {
+      (scope: any).obj = { a: 1 };
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).obj,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).obj.b = 2;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+    });
+
+    it('detects when an attribute is changed in an object', function () {
+      (scope: any).obj = { a: 1 };
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).obj,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).obj.a = 2;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      scope.$digest();
+    });
+
+    it('detects when an attribute is deleted to an object', function () {
+      (scope: any).obj = { a: 1 };
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).obj,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      delete (scope: any).obj.a;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('correctly handles NaNs in an object', function () {
+      (scope: any).obj = { a: Number.NaN };
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).obj,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('does not consider object with length property as an array', function () {
+      (scope: any).obj = { length: 233, someKey: 1 };
+      const listenerFn = sinon.spy();
+
+      scope.$watchCollection(
+        scope => (scope: any).obj,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).obj.otherKey = 256;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('get newValue and oldValue in listenerFn', function () {
+      (scope: any).arr = [0, 1, 2];
+      let gotNewValue;
+      let gotOldValue;
+
+      scope.$watchCollection(
+        scope => (scope: any).arr,
+        (newValue, oldValue) => {
+          gotNewValue = newValue;
+          gotOldValue = oldValue;
+        }
+      );
+
+      scope.$digest();
+      expect(gotNewValue).to.deep.equal([0, 1, 2]);
+      expect(gotOldValue).to.deep.equal([0, 1, 2]);
+
+      (scope: any).arr.push(3);
+      scope.$digest();
+      expect(gotNewValue).to.deep.equal([0, 1, 2, 3]);
+      expect(gotOldValue).to.deep.equal([0, 1, 2]);
+    });
+
+    it('accepts expressions for watch functions', function () {
+      let theValue;
+      (scope: any).arr = [0, 1, 2];
+      scope.$watchCollection('arr', newValue => { theValue = newValue; });
+      scope.$digest();
+      expect(theValue).to.deep.equal([0, 1, 2]);
+    });
+
+    it('detects changes in Maps', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).map = new Map([['a', 1]]);
+      scope.$watchCollection('map', listenerFn);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).map.set('a', 2);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      (scope: any).map.set('b', 3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledThrice;
+
+      (scope: any).map.delete('a');
+      scope.$digest();
+      expect(listenerFn.callCount).to.equal(4);
+    });
+
+    it('detects changes in Sets', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).set = new Set([1, 2]);
+      scope.$watchCollection('set', listenerFn);
+      scope.$digest();
+
+      (scope: any).set.add(2);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).set.add(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+
+      (scope: any).set.delete(1);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledThrice;
+    });
+
+    it('detects changes in typed arrays', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).bytes = new Uint8Array(3);
+      scope.$watchCollection('bytes', listenerFn);
+      scope.$digest();
+
+      (scope: any).bytes[1] = 233;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('detects changes in generic iterables', function () {
+      const listenerFn = sinon.spy();
+      const items = [1, 2];
+      (scope: any).iterable = { [Symbol.iterator]: () => items[Symbol.iterator]() };
+      scope.$watchCollection('iterable', listenerFn);
+      scope.$digest();
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      items.push(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('notices when a Map becomes an object', function () {
+      const listenerFn = sinon.spy();
+      (scope: any).value = new Map([['a', 1]]);
+      scope.$watchCollection('value', listenerFn);
+      scope.$digest();
+
+      (scope: any).value = { a: 1 };
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('passes copies of Maps and Sets as very old values', function () {
+      const oldValues = [];
+      (scope: any).map = new Map([['a', 1]]);
+      scope.$watchCollection('map', (newValue, oldValue) => { oldValues.push(oldValue); });
+      scope.$digest();
+
+      (scope: any).map.set('b', 2);
+      scope.$digest();
+      expect(oldValues[1]).to.be.an.instanceof(Map);
+      expect(Array.from(oldValues[1].entries())).to.deep.equal([['a', 1]]);
+    });
+
+    describe('diff', function () {
+      let changes;
+
+      beforeEach(function () {
+        changes = undefined;
+      });
+
+      const watchChanges = (expr, options) => {
+        scope.$watchCollection(expr, (newValue, oldValue, scope, collectionChanges) => {
+          changes = collectionChanges;
+        }, _.extend({ diff: true }, options));
+      };
+
+      it('does not pass changes unless enabled', function () {
+        const listenerFn = sinon.spy();
+        (scope: any).arr = [1];
+        scope.$watchCollection('arr', listenerFn);
+        scope.$digest();
+        expect(listenerFn.lastCall.args).to.have.lengthOf(3);
+      });
+
+      it('reports every item as added on the first run', function () {
+        (scope: any).arr = ['a', 'b'];
+        watchChanges('arr');
+        scope.$digest();
+        expect(changes).to.deep.equal({
+          added: [{ key: 0, item: 'a' }, { key: 1, item: 'b' }],
+          removed: [],
+          moved: [],
+          changed: []
+        });
+      });
+
+      it('reports added, removed and moved array items', function () {
+        (scope: any).arr = ['a', 'b', 'c'];
+        watchChanges('arr');
+        scope.$digest();
+
+        (scope: any).arr = ['c', 'a', 'd'];
+        scope.$digest();
+        expect(changes).to.deep.equal({
+          added: [{ key: 2, item: 'd' }],
+          removed: [{ key: 1, item: 'b' }],
+          moved: [{ key: 0, from: 2, item: 'c' }],
+          changed: []
+        });
+      });
+
+      it('tracks items with a trackBy expression', function () {
+        const first = { id: 1, name: 'aji' };
+        (scope: any).arr = [first, { id: 2, name: 'keal' }];
+        watchChanges('arr', { trackBy: 'id' });
+        scope.$digest();
+
+        const replaced = { id: 1, name: 'teropa' };
+        (scope: any).arr = [(scope: any).arr[1], replaced];
+        scope.$digest();
+        expect(changes).to.deep.equal({
+          added: [],
+          removed: [],
+          moved: [{ key: 0, from: 1, item: { id: 2, name: 'keal' } }],
+          changed: [{ key: 1, item: replaced, oldItem: first }]
+        });
+      });
+
+      it('provides $index to the trackBy expression', function () {
+        (scope: any).arr = ['a', 'b'];
+        watchChanges('arr', { trackBy: '$index' });
+        scope.$digest();
+
+        (scope: any).arr = ['c', 'b', 'd'];
+        scope.$digest();
+        expect(changes.added).to.deep.equal([{ key: 2, item: 'd' }]);
+        expect(changes.changed).to.deep.equal([{ key: 0, item: 'c', oldItem: 'a' }]);
+        expect(changes.moved).to.be.empty;
+      });
+
+      it('reports changes in duplicate items', function () {
+        (scope: any).arr = [1, 1, 2];
+        watchChanges('arr');
+        scope.$digest();
+
+        (scope: any).arr.splice(0, 1);
+        scope.$digest();
+        expect(changes.removed).to.deep.equal([{ key: 1, item: 1 }]);
+        expect(changes.moved).to.be.empty;
+      });
+
+      it('does not report moves when inserting or removing at the front', function () {
+        (scope: any).arr = ['a', 'b', 'c'];
+        watchChanges('arr');
+        scope.$digest();
+
+        (scope: any).arr.unshift('z');
+        scope.$digest();
+        expect(changes).to.deep.equal({
+          added: [{ key: 0, item: 'z' }],
+          removed: [],
+          moved: [],
+          changed: []
+        });
+
+        (scope: any).arr.splice(0, 2);
+        scope.$digest();
+        expect(changes).to.deep.equal({
+          added: [],
+          removed: [{ key: 0, item: 'z' }, { key: 1, item: 'a' }],
+          moved: [],
+          changed: []
+        });
+      });
+
+      it('reports only the items that move relative to the others', function () {
+        (scope: any).arr = ['a', 'b', 'c', 'd'];
+        watchChanges('arr');
+        scope.$digest();
+
+        (scope: any).arr = ['d', 'a', 'b', 'c'];
+        scope.$digest();
+        expect(changes.moved).to.deep.equal([{ key: 0, from: 3, item: 'd' }]);
+      });
+
+      it('reports added, removed and changed object keys', function () {
+        (scope: any).obj = { a: 1, b: 2 };
+        watchChanges('obj');
+        scope.$digest();
+
+        (scope: any).obj.a = 3;
+        delete (scope: any).obj.b;
+        (scope: any).obj.c = 4;
+        scope.$digest();
+        expect(changes).to.deep.equal({
+          added: [{ key: 'c', item: 4 }],
+          removed: [{ key: 'b', item: 2 }],
+          moved: [],
+          changed: [{ key: 'a', item: 3, oldItem: 1 }]
+        });
+      });
+
+      it('reports changes in Maps and Sets', function () {
+        (scope: any).map = new Map([['a', 1], ['b', 2]]);
+        watchChanges('map');
+        scope.$digest();
+
+        (scope: any).map.set('a', 3).delete('b');
+        scope.$digest();
+        expect(changes).to.deep.equal({
+          added: [],
+          removed: [{ key: 'b', item: 2 }],
+          moved: [],
+          changed: [{ key: 'a', item: 3, oldItem: 1 }]
+        });
+
+        (scope: any).set = new Set(['x', 'y']);
+        watchChanges('set');
+        scope.$digest();
+
+        (scope: any).set.delete('x');
+        (scope: any).set.add('z');
+        scope.$digest();
+        expect(changes.added).to.deep.equal([{ key: 1, item: 'z' }]);
+        expect(changes.removed).to.deep.equal([{ key: 0, item: 'x' }]);
+      });
+
+      it('reports no changes for non-collections', function () {
+        (scope: any).value = 233;
+        watchChanges('value');
+        scope.$digest();
+        expect(changes).to.be.null;
+      });
+    });
+  });
+
+  describe('Events', function () {
+    let child: Scope, isolatedChild: Scope;
+
+    beforeEach(() => {
+      child = scope.$new();
+      isolatedChild = scope.$new(true);
+    });
+
+    it('allows registering listeners', function () {
+      const listener1 = () => {};
+      const listener2 = () => {};
+      const listener3 = () => {};
+
+      scope.$on('aEvent', listener1);
+      scope.$on('aEvent', listener2);
+      scope.$on('bEvent', listener3);
+
+      expect(scope.$$listeners).to.deep.equal({
+        aEvent: [listener1, listener2],
+        bEvent: [listener3]
+      });
+    });
+
+    it('registers different listeners for every scope', function () {
+      const listener1 = () => {};
+      const listener2 = () => {};
+      const listener3 = () => {};
+
+      scope.$on('aEvent', listener1);
+      child.$on('aEvent', listener2);
+      isolatedChild.$on('aEvent', listener3);
+
+      expect(scope.$$listeners).to.deep.equal({ aEvent: [listener1] });
+      expect(child.$$listeners).to.deep.equal({ aEvent: [listener2] });
+      expect(isolatedChild.$$listeners).to.deep.equal({ aEvent: [listener3] });
+    });
+
+    _.each(['$emit', '$broadcast'], method => {
+      it(`calls the listeners of the matching event on ${method}`, function () {
+        const listener1 = sinon.spy();
+        const listener2 = sinon.spy();
+        const listener3 = sinon.spy();
+
+        scope.$on('aEvent', listener1);
+        scope.$on('aEvent', listener2);
+        scope.$on('bEvent', listener3);
+
+        (scope: any)[method]('aEvent');
+        expect(listener1).to.have.been.calledOnce;
+        expect(listener2).to.have.been.calledOnce;
+        expect(listener3).to.have.not.been.called;
+      });
+
+      it(`passes an event object with a name to listener on ${method}`, function () {
+        const listener = sinon.spy();
+        scope.$on('aEvent', listener);
+
+        (scope: any)[method]('aEvent');
+        expect(listener).to.have.been.calledOnce;
+        expect(listener.lastCall.args[0].name).to.equal('aEvent');
+      });
+
+      it(`passes the same event object to each listener on ${method}`, function () {
+        const listener1 = sinon.spy();
+        const listener2 = sinon.spy();
+
+        scope.$on('aEvent', listener1);
+        scope.$on('aEvent', listener2);
+
+        (scope: any)[method]('aEvent');
+        expect(listener1.lastCall.args[0]).to.equal(listener2.lastCall.args[0]);
+      });
+
+      it(`passes additional arguments to listeners on ${method}`, function () {
+        const listener = sinon.spy();
+        scope.$on('aEvent', listener);
+
+        (scope: any)[method]('aEvent', 'some', ['additional', 'arguments'], '...');
+
+        expect(listener.lastCall.args[1]).to.deep.equal('some');
+        expect(listener.lastCall.args[2]).to.deep.equal(['additional', 'arguments']);
+        expect(listener.lastCall.args[3]).to.deep.equal('...');
+      });
+
+      it(`returns the event object on ${method}`, function () {
+        const returnedEvent = (scope: any)[method]('aEvent');
+
+        expect(returnedEvent).to.be.an('object').and.have.property('name', 'aEvent');
+      });
+
+      it(`can be deregistered ${method}`, function () {
+        const listener = sinon.spy();
+        const deregister = scope.$on('aEvent', listener);
+
+        deregister();
+        (scope: any)[method]('aEvent');
+
+        expect(listener).have.not.been.called;
+      });
+
+      it(`does not skip the next listener when removed on ${method}`, function () {
+        const listener = () => {
+          deregister();
+        };
+        const nextListener = sinon.spy();
+        const deregister = scope.$on('aEvent', listener);
+        scope.$on('aEvent', nextListener);
+
+        (scope: any)[method]('aEvent');
+        expect(nextListener).to.have.been.calledOnce;
+      });
+
+      it(`sets defaultPrevented when preventDefault called on ${method}`, function () {
+        scope.$on('aEvent', event => { event.preventDefault(); });
+
+        const event = (scope: any)[method]('aEvent');
+
+        expect(event).to.have.property('defaultPrevented', true);
+      });
+
+      it(`does not stop on exceptions on ${method}`, function () {
+        const listener = sinon.spy();
+        scope.$on('aEvent', () => { throw new Error('error'); });
+        scope.$on('aEvent', listener);
+
+        (scope: any)[method]('aEvent');
+        expect(listener).to.have.been.calledOnce;
+      });
+    });
+
+    it('propagates up the scope hierarchy on $emit', function () {
+      const scopeListener = sinon.spy();
+      const childListener = sinon.spy();
+
+      scope.$on('aEvent', scopeListener);
+      child.$on('aEvent', childListener);
+
+      child.$emit('aEvent');
+      expect(scopeListener).to.have.been.calledOnce;
+      expect(childListener).to.have.been.calledOnce;
+    });
+
+    it('propagates the same event up on $emit', function () {
+      const scopeListener = sinon.spy();
+      const childListener = sinon.spy();
+
+      scope.$on('aEvent', scopeListener);
+      child.$on('aEvent', childListener);
+
+      child.$emit('aEvent');
+      expect(scopeListener.lastCall.args[0]).to.equal(childListener.lastCall.args[0]);
+    });
+
+    it('propagates down the scope hierarchy on $broadcast', function () {
+      const scopeListener = sinon.spy();
+      const childListener = sinon.spy();
+      const isolatedChildListener = sinon.spy();
+
+      scope.$on('aEvent', scopeListener);
+      child.$on('aEvent', childListener);
+      isolatedChild.$on('aEvent', isolatedChildListener);
+
+      scope.$broadcast('aEvent');
+      expect(scopeListener).to.have.been.calledOnce;
+      expect(childListener).to.have.been.calledOnce;
+      expect(isolatedChildListener).to.have.been.calledOnce;
+    });
+
+    it('propagates the same event down on $broadcast', function () {
+      const scopeListener = sinon.spy();
+      const childListener = sinon.spy();
+      const isolatedChildListener = sinon.spy();
+
+      scope.$on('aEvent', scopeListener);
+      child.$on('aEvent', childListener);
+      isolatedChild.$on('aEvent', isolatedChildListener);
+
+      scope.$broadcast('aEvent');
+      expect(scopeListener.lastCall.args[0]).to.equal(childListener.lastCall.args[0]);
+      expect(scopeListener.lastCall.args[0]).to.equal(isolatedChildListener.lastCall.args[0]);
+    });
+
+    it('attaches targetScope on $emit', function () {
+      const scopeListener = sinon.spy();
+      const childListener = sinon.spy();
+
+      scope.$on('aEvent', scopeListener);
+      child.$on('aEvent', childListener);
+
+      child.$emit('aEvent');
+      expect(scopeListener.lastCall.args[0]).to.have.property('targetScope', child);
+      expect(childListener.lastCall.args[0]).to.have.property('targetScope', child);
+    });
+
+    it('attaches targetScope on $broadcast', function () {
+      const scopeListener = sinon.spy();
+      const childListener = sinon.spy();
+
+      scope.$on('aEvent', scopeListener);
+      child.$on('aEvent', childListener);
+
+      scope.$broadcast('aEvent');
+      expect(scopeListener.lastCall.args[0]).to.have.property('targetScope', scope);
+      expect(childListener.lastCall.args[0]).to.have.property('targetScope', scope);
+    });
+
+    it('attaches currentScope on $emit', function () {
+      let currentScopeOnScope;
+      let currentScopeOnChild;
+      scope.$on('aEvent', (event) => { currentScopeOnScope = event.currentScope; });
+      child.$on('aEvent', (event) => { currentScopeOnChild = event.currentScope; });
+
+      child.$emit('aEvent');
+      expect(currentScopeOnChild).to.equal(child);
+      expect(currentScopeOnScope).to.equal(scope);
+    });
+
+    it('attaches currentScope on $broadcast', function () {
+      let currentScopeOnScope;
+      let currentScopeOnChild;
+      scope.$on('aEvent', event => { currentScopeOnScope = event.currentScope; });
+      child.$on('aEvent', event => { currentScopeOnChild = event.currentScope; });
+
+      scope.$broadcast('aEvent');
+      expect(currentScopeOnChild).to.equal(child);
+      expect(currentScopeOnScope).to.equal(scope);
+    });
+
+    it('sets currentScope to null after propagation on $emit', function () {
+      scope.$on('aEvent', () => {});
+
+      const event = scope.$emit('aEvent');
+      expect(event.currentScope).to.be.null;
+    });
+
+    it('sets currentScope to null after propagation on $broadcast', function () {
+      scope.$on('aEvent', () => {});
+
+      const event = scope.$broadcast('aEvent');
+      expect(event.currentScope).to.be.null;
+    });
+
+    it('does not propagate to parents when stopped', function () {
+      const scopeListener = sinon.spy();
+
+      child.$on('aEvent', event => { event.stopPropagation && event.stopPropagation(); });
+      scope.$on('aEvent', scopeListener);
+
+      child.$emit('aEvent');
+      expect(scopeListener).to.have.not.been.called;
+    });
+
+    it('fires $destroy when destroyed', function () {
+      const listener = sinon.spy();
+      scope.$on('$destroy', listener);
+
+      scope.$destroy();
+      expect(listener).to.have.been.calledOnce;
+    });
+
+    it('broadcast $destroy to children when destroyed', function () {
+      const listener = sinon.spy();
+      child.$on('$destroy', listener);
+
+      scope.$destroy();
+      expect(listener).to.have.been.calledOnce;
+    });
+
+    it('does not call listeners after destroyed', function () {
+      const listener = sinon.spy();
+      scope.$on('aEvent', listener);
+
+      scope.$destroy();
+      scope.$emit('aEvent');
+      expect(listener).to.have.not.been.called;
+    });
+
+    describe('listener counts', function () {
+      it('counts the listeners of each subtree', function () {
+        scope.$on('aEvent', () => {});
+        child.$on('aEvent', () => {});
+        isolatedChild.$on('bEvent', () => {});
+
+        expect(scope.$$listenerCount).to.deep.equal({ aEvent: 2, bEvent: 1 });
+        expect(child.$$listenerCount).to.deep.equal({ aEvent: 1 });
+        expect(isolatedChild.$$listenerCount).to.deep.equal({ bEvent: 1 });
+      });
+
+      it('decrements the counts when deregistered', function () {
+        const deregister = child.$on('aEvent', () => {});
+        child.$on('aEvent', () => {});
+
+        deregister();
+        deregister();
+        expect(scope.$$listenerCount).to.deep.equal({ aEvent: 1 });
+        expect(child.$$listenerCount).to.deep.equal({ aEvent: 1 });
+      });
+
+      it('decrements the counts of parents when destroyed', function () {
+        const grandChild = child.$new();
+        grandChild.$on('aEvent', () => {});
+        child.$on('bEvent', () => {});
+        scope.$on('aEvent', () => {});
+
+        child.$destroy();
+        expect(scope.$$listenerCount).to.deep.equal({ aEvent: 1 });
+      });
+
+      it('skips subtrees without listeners on $broadcast', function () {
+        const listener = sinon.spy();
+        const grandChild = isolatedChild.$new(true);
+        sinon.spy(isolatedChild, '$$fireEventOnScope');
+        sinon.spy(grandChild, '$$fireEventOnScope');
+        child.$new().$on('aEvent', listener);
+
+        scope.$broadcast('aEvent');
+        expect(listener).to.have.been.calledOnce;
+        expect(isolatedChild.$$fireEventOnScope).to.have.not.been.called;
+        expect(grandChild.$$fireEventOnScope).to.have.not.been.called;
+      });
+
+      it('visits subtrees with matching pattern listeners on $broadcast', function () {
+        const listener = sinon.spy();
+        isolatedChild.$new().$on('user:*', listener);
+
+        scope.$broadcast('user:login');
+        scope.$broadcast('admin:login');
+        expect(listener).to.have.been.calledOnce;
+      });
+    });
+
+    describe('#$once', function () {
+      it('calls the listener only once', function () {
+        const listener = sinon.spy();
+        scope.$once('aEvent', listener);
+
+        scope.$emit('aEvent', 1);
+        scope.$emit('aEvent', 2);
+        expect(listener).to.have.been.calledOnce;
+        expect(listener.firstCall.args[1]).to.equal(1);
+      });
+
+      it('can be deregistered before firing', function () {
+        const listener = sinon.spy();
+        const deregister = scope.$once('aEvent', listener);
+
+        deregister();
+        scope.$emit('aEvent');
+        expect(listener).to.have.not.been.called;
+      });
+
+      it('does not skip the next listener', function () {
+        const listener = sinon.spy();
+        scope.$once('aEvent', () => {});
+        scope.$on('aEvent', listener);
+
+        scope.$emit('aEvent');
+        expect(listener).to.have.been.calledOnce;
+      });
+    });
+
+    describe('listener priorities', function () {
+      it('calls listeners with higher priority first', function () {
+        const calls = [];
+        scope.$on('aEvent', () => calls.push('default'));
+        scope.$on('aEvent', () => calls.push('low'), -1);
+        scope.$on('aEvent', () => calls.push('high'), 10);
+        scope.$on('aEvent', () => calls.push('default again'));
+
+        scope.$emit('aEvent');
+        expect(calls).to.deep.equal(['high', 'default', 'default again', 'low']);
+      });
+
+      it('keeps priorities when listeners are deregistered', function () {
+        const calls = [];
+        const deregister = scope.$on('aEvent', () => calls.push('high'), 10);
+        scope.$on('aEvent', () => calls.push('low'), -1);
+        deregister();
+        scope.$emit('aEvent');
+
+        scope.$on('aEvent', () => calls.push('middle'));
+        scope.$emit('aEvent');
+        expect(calls).to.deep.equal(['low', 'middle', 'low']);
+      });
+
+      it('calls listeners registered with a higher priority while firing once', function () {
+        const calls = [];
+        scope.$on('aEvent', () => {
+          calls.push('first');
+          if (calls.length === 1) {
+            scope.$on('aEvent', () => calls.push('high'), 10);
+          }
+        });
+        scope.$on('aEvent', () => calls.push('second'));
+
+        scope.$emit('aEvent');
+        expect(calls).to.deep.equal(['first', 'second', 'high']);
+
+        scope.$emit('aEvent');
+        expect(calls.slice(3)).to.deep.equal(['high', 'first', 'second']);
+      });
+
+      it('calls listeners registered with a higher priority while firing asynchronously once', function () {
+        const calls = [];
+        scope.$on('aEvent', () => {
+          calls.push('first');
+          if (calls.length === 1) {
+            scope.$on('aEvent', () => calls.push('high'), 10);
+          }
+        });
+        scope.$on('aEvent', () => calls.push('second'));
+
+        return scope.$emitAsync('aEvent').then(() => {
+          expect(calls).to.deep.equal(['first', 'second', 'high']);
+          return scope.$emitAsync('aEvent');
+        }).then(() => {
+          expect(calls.slice(3)).to.deep.equal(['high', 'first', 'second']);
+        });
+      });
+    });
+
+    describe('sticky events', function () {
+      it('delivers the last sticky event to late subscribers', function () {
+        const listener = sinon.spy();
+        scope.$broadcastSticky('init', 1);
+        scope.$broadcastSticky('init', 2);
+
+        const lateChild = scope.$new();
+        lateChild.$on('init', listener);
+        expect(listener).to.have.been.calledOnce;
+        const [event, value] = listener.firstCall.args;
+        expect(value).to.equal(2);
+        expect(event.targetScope).to.equal(scope);
+        expect(event.name).to.equal('init');
+      });
+
+      it('still broadcasts to existing listeners', function () {
+        const listener = sinon.spy();
+        child.$on('init', listener);
+
+        scope.$broadcastSticky('init');
+        expect(listener).to.have.been.calledOnce;
+      });
+
+      it('does not deliver sticky events of descendants or plain broadcasts', function () {
+        const listener = sinon.spy();
+        child.$broadcastSticky('init');
+        scope.$broadcast('other');
+
+        scope.$on('init', listener);
+        scope.$on('other', listener);
+        isolatedChild.$on('init', listener);
+        expect(listener).to.have.not.been.called;
+      });
+
+      it('prefers the sticky event of the nearest ancestor', function () {
+        const listener = sinon.spy();
+        scope.$broadcastSticky('init', 'root');
+        child.$broadcastSticky('init', 'child');
+
+        child.$new().$on('init', listener);
+        expect(listener).to.have.been.calledOnce;
+        expect(listener).to.have.been.calledWith(sinon.match.any, 'child');
+      });
+
+      it('delivers matching sticky events to pattern listeners', function () {
+        const listener = sinon.spy();
+        scope.$broadcastSticky('app:ready');
+        scope.$broadcastSticky('user:login');
+
+        child.$on('app:*', listener);
+        expect(listener).to.have.been.calledOnce;
+      });
+
+      it('fires $once listeners only with the sticky event', function () {
+        const listener = sinon.spy();
+        scope.$broadcastSticky('init');
+
+        child.$once('init', listener);
+        scope.$broadcast('init');
+        expect(listener).to.have.been.calledOnce;
+      });
+    });
+
+    describe('async events', function () {
+      _.each(['$emitAsync', '$broadcastAsync'], method => {
+        it(`resolves to the event and listener results on ${method}`, function () {
+          scope.$on('aEvent', () => 1);
+          scope.$on('aEvent', () => Promise.resolve(2));
+          scope.$on('aEvent', () => {});
+
+          return (scope: any)[method]('aEvent', 'arg').then(({ event, results }) => {
+            expect(event.name).to.equal('aEvent');
+            expect(event.targetScope).to.equal(scope);
+            expect(event.currentScope).to.be.null;
+            expect(results).to.deep.equal([1, 2, undefined]);
+          });
+        });
+
+        it(`waits for each listener before calling the next on ${method}`, function () {
+          const calls = [];
+          scope.$on('aEvent', () => new Promise(resolve => setTimeout(() => {
+            calls.push('slow');
+            resolve();
+          }, 5)));
+          scope.$on('aEvent', () => { calls.push('fast'); });
+
+          return (scope: any)[method]('aEvent').then(() => {
+            expect(calls).to.deep.equal(['slow', 'fast']);
+          });
+        });
+
+        it(`skips remaining listeners once default is prevented on ${method}`, function () {
+          const listener = sinon.spy();
+          child.$on('aEvent', event => Promise.resolve().then(() => event.preventDefault()));
+          child.$on('aEvent', listener);
+          scope.$on('aEvent', listener);
+
+          return (child: any)[method]('aEvent').then(({ event }) => {
+            expect(event.defaultPrevented).to.be.true;
+            expect(listener).to.have.not.been.called;
+          });
+        });
+
+        it(`hands rejected listeners to the exception handler on ${method}`, function () {
+          const handler = sinon.spy();
+          scope.$exceptionHandler = handler;
+          scope.$on('aEvent', () => Promise.reject(new Error('no')));
+          scope.$on('aEvent', () => 'yes');
+
+          return (scope: any)[method]('aEvent').then(({ results }) => {
+            expect(results).to.deep.equal([undefined, 'yes']);
+            expect(handler).to.have.been.calledOnce;
+            expect(handler.firstCall.args[1].phase).to.equal('event');
+          });
+        });
+
+        it(`does not call listeners deregistered in flight on ${method}`, function () {
+          const listener = sinon.spy();
+          let deregister;
+          scope.$on('aEvent', () => Promise.resolve().then(() => deregister()));
+          deregister = scope.$on('aEvent', listener);
+
+          return (scope: any)[method]('aEvent').then(() => {
+            expect(listener).to.have.not.been.called;
+          });
+        });
+      });
+
+      it('awaits listeners in propagation order on $emitAsync', function () {
+        const calls = [];
+        scope.$on('aEvent', (event, value) => calls.push(`parent ${value}`));
+        child.$on('aEvent', (event, value) => Promise.resolve().then(() => calls.push(`child ${value}`)));
+
+        return child.$emitAsync('aEvent', 1).then(({ results }) => {
+          expect(calls).to.deep.equal(['child 1', 'parent 1']);
+          expect(results).to.have.lengthOf(2);
+        });
+      });
+
+      it('stops propagating when stopped in flight', function () {
+        const listener = sinon.spy();
+        scope.$on('aEvent', listener);
+        isolatedChild.$on('aEvent', listener);
+        child.$on('aEvent', event => Promise.resolve().then(() => event.stopPropagation()));
+        child.$on('aEvent', listener);
+
+        return child.$emitAsync('aEvent').then(() => {
+          expect(listener).to.have.been.calledOnce;
+          return scope.$broadcastAsync('aEvent');
+        }).then(() => {
+          expect(listener).to.have.been.calledThrice;
+        });
+      });
+    });
+
+    describe('namespaces and wildcards', function () {
+      it('treats namespaced events as plain names', function () {
+        const listener = sinon.spy();
+        scope.$on('user:login', listener);
+
+        scope.$emit('user:logout');
+        scope.$emit('user:login');
+        expect(listener).to.have.been.calledOnce;
+      });
+
+      it('matches a single segment with *', function () {
+        const listener = sinon.spy();
+        scope.$on('user:*', listener);
+
+        scope.$emit('user:login');
+        scope.$emit('user:profile:update');
+        scope.$emit('admin:login');
+        expect(listener).to.have.been.calledOnce;
+        expect(listener.firstCall.args[0].name).to.equal('user:login');
+      });
+
+      it('matches within a segment with *', function () {
+        const listener = sinon.spy();
+        scope.$on('user:log*', listener);
+
+        scope.$emit('user:login');
+        scope.$emit('user:logout');
+        scope.$emit('user:signup');
+        expect(listener).to.have.been.calledTwice;
+      });
+
+      it('matches any number of segments with **', function () {
+        const listener = sinon.spy();
+        const nestedListener = sinon.spy();
+        scope.$on('**', listener);
+        scope.$on('user:**:done', nestedListener);
+
+        scope.$emit('aEvent');
+        scope.$emit('user:done');
+        scope.$emit('user:profile:update:done');
+        expect(listener).to.have.been.calledThrice;
+        expect(nestedListener).to.have.been.calledTwice;
+      });
+
+      it('fires exact listeners before pattern listeners', function () {
+        const calls = [];
+        scope.$on('user:*', () => calls.push('pattern'));
+        scope.$on('user:login', () => calls.push('exact'));
+
+        scope.$broadcast('user:login');
+        expect(calls).to.deep.equal(['exact', 'pattern']);
+      });
+
+      it('propagates pattern listeners through the hierarchy', function () {
+        const listener = sinon.spy();
+        scope.$on('user:*', listener);
+        child.$on('user:*', listener);
+        isolatedChild.$on('user:*', listener);
+
+        child.$emit('user:login');
+        scope.$broadcast('user:logout');
+        expect(listener).to.have.callCount(5);
+      });
+
+      it('can be deregistered while firing', function () {
+        const calls = [];
+        let deregister;
+        scope.$on('user:*', () => {
+          calls.push(1);
+          deregister();
+        });
+        deregister = scope.$on('user:*', () => calls.push(2));
+        scope.$on('user:*', () => calls.push(3));
+
+        scope.$emit('user:login');
+        scope.$emit('user:login');
+        expect(calls).to.deep.equal([1, 3, 1, 3]);
+        expect(scope.$$listeners['user:*']).to.have.lengthOf(2);
+      });
+    });
+  });
+
+  describe('errorHandling', function () {
+    it('catches exceptions in watch functions', function () {
+      (scope: any).someValue = 233;
+      const listenerFn = sinon.spy();
+
+      scope.$watch(
+        () => { throw new Error('error'); }
+      );
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('catches exceptions in listener functions', function () {
+      (scope: any).someValue = 233;
+      const listenerFn = sinon.spy();
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        () => { throw new Error('error'); }
+      );
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('catches exceptions in $evalAsync', function (done) {
+      (scope: any).someValue = 233;
+      const listenerFn = sinon.spy();
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      scope.$evalAsync(() => {
+        throw new Error('error');
+      });
+
+      setTimeout(() => {
+        expect(listenerFn).to.have.been.calledOnce;
+        done();
+      }, 10);
+    });
+
+    it('catches exceptions in $applyAsync', function (done) {
+      const appliedFn = sinon.spy();
+
+      scope.$applyAsync(() => {
+        throw new Error('error');
+      });
+
+      scope.$applyAsync(() => {
+        throw new Error('error');
+      });
+
+      scope.$applyAsync(appliedFn);
+
+      setTimeout(() => {
+        expect(appliedFn).to.have.been.calledOnce;
+        done();
+      }, 10);
+    });
+
+    it('catches exceptions in $$postDigest', function () {
+      const postDigestFn = sinon.spy();
+
+      scope.$$postDigest(() => {
+        throw new Error('error');
+      });
+
+      scope.$$postDigest(postDigestFn);
+
+      scope.$digest();
+      expect(postDigestFn).to.have.been.calledOnce;
+    });
+  });
+
+  describe('$exceptionHandler', function () {
+    let handler;
+
+    beforeEach(function () {
+      handler = sinon.spy();
+      scope = new Scope({ exceptionHandler: handler });
+    });
+
+    it('passes exceptions in watch functions with context', function () {
+      const error = new Error('error');
+      const watchFn = () => { throw error; };
+      scope.$watch(watchFn);
+
+      scope.$digest();
+      expect(handler).to.have.been.calledOnce;
+      const [err, context] = handler.lastCall.args;
+      expect(err).to.equal(error);
+      expect(context.phase).to.equal('watch');
+      expect(context.scope).to.equal(scope);
+      expect(context.watcher.watchFn).to.equal(watchFn);
+      expect(context.expression).to.equal(watchFn);
+    });
+
+    it('passes exceptions in listener functions with context', function () {
+      const listenerFn = () => { throw new Error('error'); };
+      const child = scope.$new();
+      child.$watch(_.constant(233), listenerFn);
+
+      scope.$digest();
+      expect(handler).to.have.been.calledOnce;
+      const context = handler.lastCall.args[1];
+      expect(context.phase).to.equal('listener');
+      expect(context.scope).to.equal(child);
+      expect(context.expression).to.equal(listenerFn);
+    });
+
+    it('passes exceptions in $evalAsync and $$postDigest', function () {
+      (scope: any).aFn = () => { throw new Error('error'); };
+      const child = scope.$new();
+      child.$evalAsync('aFn()');
+      const postDigestFn = () => { throw new Error('error'); };
+      scope.$$postDigest(postDigestFn);
+
+      scope.$digest();
+      expect(handler).to.have.been.calledTwice;
+      expect(handler.firstCall.args[1]).to.deep.equal({ phase: '$evalAsync', scope: child, expression: 'aFn()' });
+      expect(handler.secondCall.args[1]).to.deep.equal({ phase: '$$postDigest', scope, expression: postDigestFn });
+    });
+
+    it('passes exceptions in $applyAsync', function () {
+      (scope: any).aFn = () => { throw new Error('error'); };
+      scope.$applyAsync('aFn()');
+
+      scope.$digest();
+      expect(handler).to.have.been.calledOnce;
+      expect(handler.lastCall.args[1]).to.deep.equal({ phase: '$applyAsync', scope, expression: 'aFn()' });
+    });
+
+    it('passes exceptions in event listeners', function () {
+      const listener = () => { throw new Error('error'); };
+      const child = scope.$new();
+      child.$on('aEvent', listener);
+
+      const event = scope.$broadcast('aEvent');
+      expect(handler).to.have.been.calledOnce;
+      expect(handler.lastCall.args[1]).to.deep.equal({ phase: 'event', scope: child, expression: listener, event });
+    });
+
+    it('uses the handler of the root scope in isolated children', function () {
+      const isolatedChild = scope.$new(true);
+      isolatedChild.$watch(() => { throw new Error('error'); });
+
+      scope.$digest();
+      expect(handler).to.have.been.calledOnce;
+      expect(handler.lastCall.args[1].scope).to.equal(isolatedChild);
+    });
+
+    it('allows the handler to rethrow and clears the phase', function () {
+      scope.$exceptionHandler = err => { throw err; };
+      scope.$watch(() => { throw new Error('rethrown'); });
+
+      expect(() => { scope.$digest(); }).to.throw('rethrown');
+      expect(scope.$$phase).to.be.null;
+    });
+  });
+
+  describe('inheritance', function () {
+    it('inherits the parent\'s properties', function () {
+      (scope: any).someValue = 233;
+      const child = scope.$new();
+
+      expect((child: any).someValue).to.equal(233);
+    });
+
+    it('does not cause a parent to inherit its properties', function () {
+      const child = scope.$new();
+
+      (child: any).someValue = 233;
+      expect((scope: any).someValue).to.be.undefined;
+    });
+
+    it('inherits the parent\'s value whenever the are defined', function () {
+      const child = scope.$new();
+      (scope: any).someValue = 233;
+
+      expect((child: any).someValue).to.equal(233);
+    });
+
+    it('can manipulate parent\'s properties', function () {
+      const child = scope.$new();
+      (scope: any).arr = [0, 1, 2];
+
+      (child: any).arr.push(3);
+      expect((child: any).arr).to.deep.equal([0, 1, 2, 3]);
+      expect((scope: any).arr).to.deep.equal([0, 1, 2, 3]);
+    });
+
+    it('can watch a property in parent', function () {
+      const child = scope.$new();
+      const listenerFn = sinon.spy();
+      (scope: any).arr = [0, 1, 2];
+
+      child.$watch(
+        scope => (scope: any).arr,
+        listenerFn,
+        true
+      );
+
+      child.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+
+      (scope: any).arr.push(3);
+      child.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
+    });
+
+    it('can be nested at any depth', function () {
+      const c1 = scope.$new();
+      const c2 = scope.$new();
+      const c1c1 = c1.$new();
+      const c1c2 = c1.$new();
+      const c2c1 = c2.$new();
+
+      (scope: any).someValue = 233;
+      expect((c1: any).someValue).to.equal(233);
+      expect((c2: any).someValue).to.equal(233);
+      expect((c1c1: any).someValue).to.equal(233);
+      expect((c1c2: any).someValue).to.equal(233);
+      expect((c2c1: any).someValue).to.equal(233);
+
+      (c2: any).anotherValue = 256;
+      expect((c2c1: any).anotherValue).to.equal(256);
+      expect((c1: any).anotherValue).to.be.undefined;
+      expect((c1c1: any).anotherValue).to.be.undefined;
+      expect((c1c2: any).anotherValue).to.be.undefined;
+    });
+
+    it('shadows parent\'s property with the same name', function () {
+      const child = scope.$new();
+
+      (scope: any).someValue = 233;
+      (child: any).someValue = 256;
+
+      expect((scope: any).someValue).to.equal(233);
+      expect((child: any).someValue).to.equal(256);
+    });
+
+    it('does not deeply shadow parents\'s properties', function () {
+      const child = scope.$new();
+
+      (scope: any).user = { name: 'Aji' };
+      (child: any).user.name = 'Keal';
+
+      expect((child: any).user.name).to.equal('Keal');
+      expect((scope: any).user.name).to.equal('Keal');
+    });
+
+    it('does not digest its parent', function () {
+      const child = scope.$new();
+      const listenerFn = sinon.spy();
+
+      (scope: any).someValue = 233;
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      child.$digest();
+      expect(listenerFn).to.have.not.been.called;
+    });
+
+    it('keeps a record of its children', function () {
+      const child1 = scope.$new();
+      const child2 = scope.$new();
+      const child2child1 = child2.$new();
+
+      expect(scope.$$children).to.have.lengthOf(2);
+      expect(scope.$$children[0]).to.equal(child1);
+      expect(scope.$$children[1]).to.equal(child2);
+
+      expect(child1.$$children).to.have.lengthOf(0);
+      expect(child2.$$children).to.have.lengthOf(1);
+      expect(child2.$$children[0]).to.equal(child2child1);
+    });
+
+    it('digests its children', function () {
+      (scope: any).someValue = 233;
+      const child = scope.$new();
+      const listenerFn = sinon.spy();
+
+      child.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('digests from root when $apply', function () {
+      (scope: any).someValue = 233;
+      const child1 = scope.$new();
+      const child1child1 = child1.$new();
+      const listenerFn = sinon.spy();
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      child1child1.$apply(() => {});
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('schedules a digest from root on $evalAsync', function (done) {
+      (scope: any).someValue = 233;
+      const child1 = scope.$new();
+      const child1child1 = child1.$new();
+      const listenerFn = sinon.spy();
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      child1child1.$evalAsync(() => {});
+      setTimeout(() => {
+        expect(listenerFn).to.have.been.calledOnce;
+        done();
+      }, 10);
+    });
+
+    it('does not have access to parent scope attributes when isolated', function () {
+      (scope: any).someValue = 233;
+      const child = scope.$new(true);
+
+      expect((child: any).someValue).to.be.undefined;
+    });
+
+    it('digests its isolated children', function () {
+      const child = scope.$new(true);
+      (child: any).someValue = 233;
+      const listenerFn = sinon.spy();
+
+      child.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('digests from root on $apply when isolated', function () {
+      (scope: any).someValue = 233;
+      const child1 = scope.$new(true);
+      const child1child1 = child1.$new();
+      const listenerFn = sinon.spy();
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      child1child1.$apply(() => {});
+      expect(listenerFn).to.have.been.calledOnce;
+    });
+
+    it('schedules a digest from root on $evalAsync when isolated', function (done) {
+      (scope: any).someValue = 233;
+      const child1 = scope.$new(true);
+      const child1child1 = child1.$new();
+      const listenerFn = sinon.spy();
+
+      scope.$watch(
+        scope => (scope: any).someValue,
+        listenerFn
+      );
+
+      child1child1.$evalAsync(() => {});
+      setTimeout(() => {
+        expect(listenerFn).to.have.been.calledOnce;
+        done();
+      }, 10);
+    });
+
+    it('executes $evalAsync functions on isolated scopes', function (done) {
+      const child = scope.$new(true);
+      const evalFn = sinon.spy();
+
+      child.$evalAsync(evalFn);
+      setTimeout(() => {
+        expect(evalFn).to.have.been.calledOnce;
+        done();
+      }, 10);
+    });
+
+    it('executes $$postDigest functions on isolated scopes', function () {
+      const child = scope.$new(true);
+      const postDigestFn = sinon.spy();
+
+      child.$$postDigest(postDigestFn);
+      scope.$digest();
+
+      expect(postDigestFn).to.have.been.calledOnce;
+    });
+
+    it('coalesces $applyAsync functions in isolated scopes', function (done) {
+      const child1 = scope.$new(true);
+      const child2 = scope.$new(true);
+      const watchFn = sinon.spy();
+
+      child1.$watch(watchFn);
+      child1.$applyAsync(scope => { (scope: any).someValue = 233; });
+      child2.$applyAsync(scope => { (scope: any).someValue = 256; });
+
+      setTimeout(() => {
+        expect(watchFn).to.have.been.calledTwice;
+        done();
+      }, 10);
+    });
+
+    it('can take some other scope as the parent', function () {
+      const anotherScope = new Scope();
+      const child = scope.$new(false, anotherScope);
+      const childWatcherFn = sinon.spy();
+
+      (scope: any).someValue = 233;
+      expect((child: any).someValue).to.equal(233);
+
+      child.$watch(childWatcherFn);
+
+      scope.$digest();
+      expect(childWatcherFn).to.have.not.been.called;
+
+      anotherScope.$digest();
+      expect(childWatcherFn).to.have.been.calledTwice;
+    });
+
+    it('not longer digests after $destroy', function () {
+      const child = scope.$new();
+      const listenerFn = sinon.spy();
 
-        const event = (scope: any)[method]('aEvent');
+      (child: any).arr = [0, 1, 2];
+      child.$watch(
+        scope => (scope: any).arr,
+        listenerFn,
+        true
+      );
 
-        expect(event).to.have.property('defaultPrevented', true);
-      });
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
 
-      it(`does not stop on exceptions on ${method}`, function () {
-        const listener = sinon.spy();
-        scope.$on('aEvent', () => { throw new Error('error'); });
-        scope.$on('aEvent', listener);
+      (child: any).arr.push(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
 
-        (scope: any)[method]('aEvent');
-        expect(listener).to.have.been.calledOnce;
-      });
+      child.$destroy();
+      (child: any).arr.push(4);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
     });
+  });
 
-    it('propagates up the scope hierarchy on $emit', function () {
-      const scopeListener = sinon.spy();
-      const childListener = sinon.spy();
+  describe('#$destroy', function () {
+    let warn;
 
-      scope.$on('aEvent', scopeListener);
-      child.$on('aEvent', childListener);
+    beforeEach(function () {
+      warn = sinon.stub(console, 'warn');
+    });
 
-      child.$emit('aEvent');
-      expect(scopeListener).to.have.been.calledOnce;
-      expect(childListener).to.have.been.calledOnce;
+    afterEach(function () {
+      warn.restore();
     });
 
-    it('propagates the same event up on $emit', function () {
-      const scopeListener = sinon.spy();
-      const childListener = sinon.spy();
+    function isReachable(from: any, target: any): boolean {
+      const seen = new Set();
+      const stack = [from];
+      while (stack.length) {
+        const value = stack.pop();
+        if (value === target) {
+          return true;
+        }
+        if (!_.isObject(value) || seen.has(value)) {
+          continue;
+        }
+        seen.add(value);
+        _.each(Object.getOwnPropertyNames(value), key => {
+          const descriptor = Object.getOwnPropertyDescriptor(value, key);
+          if (descriptor && 'value' in descriptor) {
+            stack.push(descriptor.value);
+          }
+        });
+      }
+      return false;
+    }
 
-      scope.$on('aEvent', scopeListener);
-      child.$on('aEvent', childListener);
+    it('marks the scope and its descendants as destroyed', function () {
+      const child = scope.$new();
+      const grandChild = child.$new(true);
 
-      child.$emit('aEvent');
-      expect(scopeListener.lastCall.args[0]).to.equal(childListener.lastCall.args[0]);
+      child.$destroy();
+      expect(scope.$$destroyed).to.be.false;
+      expect(child.$$destroyed).to.be.true;
+      expect(grandChild.$$destroyed).to.be.true;
+      expect(scope.$new().$$destroyed).to.be.false;
     });
 
-    it('propagates down the scope hierarchy on $broadcast', function () {
-      const scopeListener = sinon.spy();
-      const childListener = sinon.spy();
-      const isolatedChildListener = sinon.spy();
-
-      scope.$on('aEvent', scopeListener);
-      child.$on('aEvent', childListener);
-      isolatedChild.$on('aEvent', isolatedChildListener);
+    it('tears down the whole subtree', function () {
+      const child = scope.$new();
+      const grandChild = child.$new(true);
+      grandChild.$watch('a', () => {});
+      grandChild.$on('aEvent', () => {});
 
-      scope.$broadcast('aEvent');
-      expect(scopeListener).to.have.been.calledOnce;
-      expect(childListener).to.have.been.calledOnce;
-      expect(isolatedChildListener).to.have.been.calledOnce;
+      child.$destroy();
+      expect(grandChild.$$watchers).to.be.empty;
+      expect(grandChild.$$listeners).to.be.empty;
+      expect(grandChild.$parent).to.be.null;
+      expect(child.$$children).to.be.empty;
+      expect(child.$parent).to.be.null;
     });
 
-    it('propagates the same event down on $broadcast', function () {
-      const scopeListener = sinon.spy();
-      const childListener = sinon.spy();
-      const isolatedChildListener = sinon.spy();
-
-      scope.$on('aEvent', scopeListener);
-      child.$on('aEvent', childListener);
-      isolatedChild.$on('aEvent', isolatedChildListener);
+    it('only destroys once', function () {
+      const child = scope.$new();
+      const listener = sinon.spy();
+      child.$on('$destroy', listener);
 
-      scope.$broadcast('aEvent');
-      expect(scopeListener.lastCall.args[0]).to.equal(childListener.lastCall.args[0]);
-      expect(scopeListener.lastCall.args[0]).to.equal(isolatedChildListener.lastCall.args[0]);
+      child.$destroy();
+      child.$destroy();
+      expect(listener).to.have.been.calledOnce;
     });
 
-    it('attaches targetScope on $emit', function () {
-      const scopeListener = sinon.spy();
-      const childListener = sinon.spy();
+    it('ignores and warns about $apply, $evalAsync, $watch and $new afterwards', function () {
+      const child = scope.$new();
+      const fn = sinon.spy();
+      child.$destroy();
 
-      scope.$on('aEvent', scopeListener);
-      child.$on('aEvent', childListener);
+      child.$apply(fn);
+      child.$evalAsync(fn);
+      child.$applyAsync(fn);
+      child.$watch(fn)();
+      child.$digest();
+      const grandChild = child.$new();
+      const isolatedGrandChild = child.$new(true);
+      expect(fn).to.have.not.been.called;
+      expect(child.$$watchers).to.be.empty;
+      expect(scope.$$asyncQueue).to.be.empty;
+      expect(grandChild.$$destroyed).to.be.true;
+      expect(isolatedGrandChild.$$destroyed).to.be.true;
+      expect(grandChild.$parent).to.be.null;
+      expect(child.$$children).to.be.empty;
+      expect(warn).to.have.callCount(7);
+      expect(warn.firstCall.args[0]).to.contain('$apply');
+    });
+
+    it('ignores and warns about $digestIncremental afterwards', function () {
+      const child = scope.$new();
+      const watchFn = sinon.spy();
+      child.$watch(watchFn);
+      child.$destroy();
 
-      child.$emit('aEvent');
-      expect(scopeListener.lastCall.args[0]).to.have.property('targetScope', child);
-      expect(childListener.lastCall.args[0]).to.have.property('targetScope', child);
+      return child.$digestIncremental().then(() => {
+        expect(watchFn).to.have.not.been.called;
+        expect(warn).to.have.been.calledOnce;
+        expect(warn.firstCall.args[0]).to.contain('$digestIncremental');
+      });
     });
 
-    it('attaches targetScope on $broadcast', function () {
-      const scopeListener = sinon.spy();
-      const childListener = sinon.spy();
-
-      scope.$on('aEvent', scopeListener);
-      child.$on('aEvent', childListener);
+    it('does not register listeners afterwards', function () {
+      const child = scope.$new();
+      child.$destroy();
 
-      scope.$broadcast('aEvent');
-      expect(scopeListener.lastCall.args[0]).to.have.property('targetScope', scope);
-      expect(childListener.lastCall.args[0]).to.have.property('targetScope', scope);
+      child.$on('aEvent', () => {});
+      expect(child.$$listeners).to.be.empty;
+      expect(scope.$$listenerCount).to.be.empty;
     });
 
-    it('attaches currentScope on $emit', function () {
-      let currentScopeOnScope;
-      let currentScopeOnChild;
-      scope.$on('aEvent', (event) => { currentScopeOnScope = event.currentScope; });
-      child.$on('aEvent', (event) => { currentScopeOnChild = event.currentScope; });
+    it('drops tasks queued by the destroyed scopes', function () {
+      const child = scope.$new(true);
+      const fn = sinon.spy();
+      scope.$evalAsync(_.noop);
+      child.$evalAsync(fn);
+      child.$applyAsync(fn);
+      child.$new().$$postDigest(fn);
 
-      child.$emit('aEvent');
-      expect(currentScopeOnChild).to.equal(child);
-      expect(currentScopeOnScope).to.equal(scope);
+      child.$destroy();
+      expect(scope.$$asyncQueue).to.have.lengthOf(1);
+      expect(scope.$$applyAsyncQueue).to.be.empty;
+      expect(scope.$$postDigestQueue).to.be.empty;
+      expect(child.$$asyncQueue).to.not.equal(scope.$$asyncQueue);
+
+      scope.$digest();
+      expect(fn).to.have.not.been.called;
     });
 
-    it('attaches currentScope on $broadcast', function () {
-      let currentScopeOnScope;
-      let currentScopeOnChild;
-      scope.$on('aEvent', event => { currentScopeOnScope = event.currentScope; });
-      child.$on('aEvent', event => { currentScopeOnChild = event.currentScope; });
+    it('leaves destroyed subtrees unreachable from the live tree', function () {
+      const child = scope.$new();
+      const grandChild = child.$new(true);
+      const sibling = scope.$new();
+      (grandChild: any).a = 1;
+      grandChild.$watch('a', () => {}, { debounce: 10 });
+      grandChild.$on('aEvent', () => {});
+      grandChild.$evalAsync(_.noop);
+      grandChild.$$postDigest(_.noop);
+      grandChild.$timeout(_.noop, 100);
+      scope.$digest();
+      expect(isReachable(scope, grandChild)).to.be.true;
 
-      scope.$broadcast('aEvent');
-      expect(currentScopeOnChild).to.equal(child);
-      expect(currentScopeOnScope).to.equal(scope);
+      child.$destroy();
+      expect(isReachable(scope, child)).to.be.false;
+      expect(isReachable(scope, grandChild)).to.be.false;
+      expect(isReachable(scope, sibling)).to.be.true;
     });
+  });
 
-    it('sets currentScope to null after propagation on $emit', function () {
+  describe('#$inspect', function () {
+    it('describes a single scope', function () {
+      (scope: any).someValue = 233;
+      (scope: any).aFn = function doSomething() {};
+      scope.$watch('someValue');
+      scope.$watch(function watchOther() {});
       scope.$on('aEvent', () => {});
-
-      const event = scope.$emit('aEvent');
-      expect(event.currentScope).to.be.null;
+      scope.$on('aEvent', () => {});
+      const deregister = scope.$on('bEvent', () => {});
+      deregister();
+
+      expect(scope.$inspect()).to.deep.equal({
+        id: scope.$id,
+        isolated: false,
+        properties: { someValue: 233, aFn: 'fn: doSomething' },
+        watchers: { count: 2, expressions: ['someValue', 'fn: watchOther'] },
+        listeners: { aEvent: 2 },
+        children: []
+      });
     });
 
-    it('sets currentScope to null after propagation on $broadcast', function () {
-      scope.$on('aEvent', () => {});
+    it('describes the scope tree with own properties only', function () {
+      (scope: any).someValue = 233;
+      const child = scope.$new();
+      (child: any).childValue = { a: [1, 2] };
+      const isolatedChild = scope.$new(true);
+      const grandChild = child.$new();
+      grandChild.$watch('childValue.a', () => {});
 
-      const event = scope.$broadcast('aEvent');
-      expect(event.currentScope).to.be.null;
+      const tree = scope.$inspect();
+      expect(_.map(tree.children, 'id')).to.deep.equal([child.$id, isolatedChild.$id]);
+      expect(tree.children[0].properties).to.deep.equal({ childValue: { a: [1, 2] } });
+      expect(tree.children[1].isolated).to.be.true;
+      expect(tree.children[0].children[0].watchers.expressions).to.deep.equal(['childValue.a']);
+      expect(child.$inspect().id).to.equal(child.$id);
     });
 
-    it('does not propagate to parents when stopped', function () {
-      const scopeListener = sinon.spy();
-
-      child.$on('aEvent', event => { event.stopPropagation && event.stopPropagation(); });
-      scope.$on('aEvent', scopeListener);
+    it('produces a serializable tree', function () {
+      (scope: any).circular = {};
+      (scope: any).circular.self = (scope: any).circular;
+      scope.$new();
 
-      child.$emit('aEvent');
-      expect(scopeListener).to.have.not.been.called;
+      const tree = scope.$inspect();
+      expect(JSON.parse(JSON.stringify(tree))).to.deep.equal(tree);
+      expect(tree.properties.circular).to.equal('[object Object]');
     });
+  });
 
-    it('fires $destroy when destroyed', function () {
-      const listener = sinon.spy();
-      scope.$on('$destroy', listener);
+  describe('#$digestLocal', function () {
+    let child: Scope, isolatedGrandChild: Scope, sibling: Scope;
 
-      scope.$destroy();
-      expect(listener).to.have.been.calledOnce;
+    beforeEach(function () {
+      child = scope.$new();
+      isolatedGrandChild = child.$new(true);
+      sibling = scope.$new();
     });
 
-    it('broadcast $destroy to children when destroyed', function () {
-      const listener = sinon.spy();
-      child.$on('$destroy', listener);
+    it('digests only the subtree of the scope', function () {
+      const rootListener = sinon.spy();
+      const grandChildListener = sinon.spy();
+      const siblingListener = sinon.spy();
+      scope.$watch(_.constant(1), rootListener);
+      isolatedGrandChild.$watch(_.constant(1), grandChildListener);
+      sibling.$watch(_.constant(1), siblingListener);
 
-      scope.$destroy();
-      expect(listener).to.have.been.calledOnce;
+      child.$digestLocal();
+      expect(grandChildListener).to.have.been.calledOnce;
+      expect(rootListener).to.have.not.been.called;
+      expect(siblingListener).to.have.not.been.called;
     });
 
-    it('does not call listeners after destroyed', function () {
-      const listener = sinon.spy();
-      scope.$on('aEvent', listener);
+    it('does not touch the $$lastDirtyWatch of the root', function () {
+      child.$watch('b');
+      child.$watch('c');
+      scope.$digest();
+      const lastDirtyWatch = scope.$$lastDirtyWatch;
+      expect(lastDirtyWatch).to.be.ok;
 
-      scope.$destroy();
-      scope.$emit('aEvent');
-      expect(listener).to.have.not.been.called;
+      (child: any).b = 233;
+      child.$digestLocal();
+      expect(scope.$$lastDirtyWatch).to.equal(lastDirtyWatch);
     });
-  });
-
-  describe('errorHandling', function () {
-    it('catches exceptions in watch functions', function () {
-      (scope: any).someValue = 233;
-      const listenerFn = sinon.spy();
 
-      scope.$watch(
-        () => { throw new Error('error'); }
-      );
+    it('runs only the async and postDigest tasks of the subtree', function () {
+      const mock = mockScope(scope);
+      const localTask = sinon.spy();
+      const localPostDigest = sinon.spy();
+      const otherTask = sinon.spy();
+      const otherPostDigest = sinon.spy();
+      sibling.$evalAsync(otherTask);
+      isolatedGrandChild.$evalAsync(localTask);
+      sibling.$$postDigest(otherPostDigest);
+      isolatedGrandChild.$$postDigest(localPostDigest);
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+      child.$digestLocal();
+      expect(localTask).to.have.been.calledOnce;
+      expect(localPostDigest).to.have.been.calledOnce;
+      expect(otherTask).to.have.not.been.called;
+      expect(otherPostDigest).to.have.not.been.called;
 
-      scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      mock.flush();
+      expect(otherTask).to.have.been.calledOnce;
+      expect(otherPostDigest).to.have.been.calledOnce;
+      mock.verifyNoPendingTasks();
     });
 
-    it('catches exceptions in listener functions', function () {
-      (scope: any).someValue = 233;
-      const listenerFn = sinon.spy();
+    it('schedules a root digest for tasks left outside the subtree', function () {
+      const mock = mockScope(scope);
+      const otherTask = sinon.spy();
+      child.$watch(_.constant(1), () => { sibling.$evalAsync(otherTask); });
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        () => { throw new Error('error'); }
-      );
+      child.$digestLocal();
+      expect(otherTask).to.have.not.been.called;
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+      mock.flush();
+      expect(otherTask).to.have.been.calledOnce;
+    });
+
+    it('throws when a root digest is in progress', function () {
+      const handler = sinon.spy();
+      scope.$exceptionHandler = handler;
+      scope.$watch(_.constant(1), () => { isolatedGrandChild.$digestLocal(); });
 
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect(handler.lastCall.args[0].message).to.equal('$digest already in progress.');
     });
 
-    it('catches exceptions in $evalAsync', function (done) {
-      (scope: any).someValue = 233;
-      const listenerFn = sinon.spy();
+    it('digests locally from $apply with the local option', function () {
+      const rootListener = sinon.spy();
+      const childListener = sinon.spy();
+      scope.$watch('someValue', rootListener);
+      child.$watch('someValue', childListener);
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+      expect(child.$apply('someValue = 233', { local: true })).to.equal(233);
+      expect(childListener).to.have.been.calledWith(233);
+      expect(rootListener).to.have.not.been.called;
+    });
+  });
 
-      scope.$evalAsync(() => {
-        throw new Error('error');
-      });
+  describe('#$digestIncremental', function () {
+    let mock;
 
-      setTimeout(() => {
-        expect(listenerFn).to.have.been.calledOnce;
-        done();
-      }, 10);
+    beforeEach(function () {
+      mock = mockScope();
+      scope = mock.scope;
     });
 
-    it('catches exceptions in $applyAsync', function (done) {
-      const appliedFn = sinon.spy();
-
-      scope.$applyAsync(() => {
-        throw new Error('error');
+    it('yields between chunks and reaches a stable state', function () {
+      (scope: any).name = 'aji';
+      scope.$watch('nameUpper', (newValue, oldValue, scope) => {
+        if (newValue) {
+          (scope: any).initial = newValue[0];
+        }
       });
-
-      scope.$applyAsync(() => {
-        throw new Error('error');
+      scope.$new().$watch('name', (newValue, oldValue, scope) => {
+        (scope: any).$parent.nameUpper = newValue.toUpperCase();
       });
+      const progress = sinon.spy();
 
-      scope.$applyAsync(appliedFn);
+      const promise = scope.$digestIncremental({ budget: 0, onProgress: progress });
+      expect(progress).to.have.been.calledOnce;
+      expect(progress.lastCall.args[0]).to.deep.equal({ pass: 1, processed: 1, total: 2, done: false });
+      expect((scope: any).initial).to.be.undefined;
+      expect(scope.$$phase).to.be.null;
 
-      setTimeout(() => {
-        expect(appliedFn).to.have.been.calledOnce;
-        done();
-      }, 10);
+      mock.flush();
+      expect((scope: any).initial).to.equal('A');
+      expect(progress.lastCall.args[0].done).to.be.true;
+      return promise;
     });
 
-    it('catches exceptions in $$postDigest', function () {
+    it('runs async tasks in passes and $$postDigest at the end', function () {
       const postDigestFn = sinon.spy();
-
-      scope.$$postDigest(() => {
-        throw new Error('error');
+      scope.$watch(_.constant(1), (newValue, oldValue, scope) => {
+        scope.$evalAsync(scope => { (scope: any).asyncEvaluated = true; });
       });
-
       scope.$$postDigest(postDigestFn);
 
-      scope.$digest();
-      expect(postDigestFn).to.have.been.calledOnce;
-    });
-  });
-
-  describe('inheritance', function () {
-    it('inherits the parent\'s properties', function () {
-      (scope: any).someValue = 233;
-      const child = scope.$new();
+      const promise = scope.$digestIncremental({ budget: 0 });
+      expect(postDigestFn).to.have.not.been.called;
 
-      expect((child: any).someValue).to.equal(233);
+      mock.flush();
+      expect((scope: any).asyncEvaluated).to.be.true;
+      expect(postDigestFn).to.have.been.calledOnce;
+      mock.verifyNoPendingTasks();
+      return promise;
     });
 
-    it('does not cause a parent to inherit its properties', function () {
-      const child = scope.$new();
-
-      (child: any).someValue = 233;
-      expect((scope: any).someValue).to.be.undefined;
+    it('skips watchers removed during the pass', function () {
+      const watchFn = sinon.spy();
+      const unwatch = scope.$watch(watchFn);
+      scope.$watch(_.constant(1), () => { unwatch(); });
+
+      const promise = scope.$digestIncremental({ budget: 0 });
+      mock.flush();
+      expect(watchFn).to.have.been.calledOnce;
+      return promise;
     });
 
-    it('inherits the parent\'s value whenever the are defined', function () {
+    it('skips watchers of scopes destroyed during the pass', function () {
       const child = scope.$new();
-      (scope: any).someValue = 233;
+      const watchFn = sinon.spy();
+      child.$watch(watchFn);
+      scope.$watch(_.constant(1), () => { child.$destroy(); });
 
-      expect((child: any).someValue).to.equal(233);
+      const promise = scope.$digestIncremental({ budget: 0 });
+      mock.flush();
+      expect(watchFn).to.have.not.been.called;
+      return promise;
     });
 
-    it('can manipulate parent\'s properties', function () {
-      const child = scope.$new();
-      (scope: any).arr = [0, 1, 2];
+    it('rejects when onProgress throws', function () {
+      scope.$watch(_.constant(1));
+      scope.$watch(_.constant(2));
 
-      (child: any).arr.push(3);
-      expect((child: any).arr).to.deep.equal([0, 1, 2, 3]);
-      expect((scope: any).arr).to.deep.equal([0, 1, 2, 3]);
+      const promise = scope.$digestIncremental({
+        budget: 0,
+        onProgress: ({ done }) => {
+          if (done) {
+            throw new Error('progress failed');
+          }
+        }
+      });
+      mock.flush();
+      return promise.then(() => {
+        throw new Error('should have been rejected');
+      }, err => {
+        expect(err.message).to.equal('progress failed');
+        return scope.$digestIncremental();
+      });
     });
 
-    it('can watch a property in parent', function () {
-      const child = scope.$new();
+    it('shares the running digest and refuses full digests meanwhile', function () {
       const listenerFn = sinon.spy();
-      (scope: any).arr = [0, 1, 2];
-
-      child.$watch(
-        scope => (scope: any).arr,
-        listenerFn,
-        true
-      );
+      scope.$watch('a', listenerFn);
+      scope.$watch(_.constant(1));
+
+      const promise = scope.$digestIncremental({ budget: 0 });
+      expect(scope.$digestIncremental()).to.equal(promise);
+      expect(() => { scope.$digest(); }).to.throw('$digestIncremental already in progress');
+
+      scope.$evalAsync(scope => { (scope: any).a = 1; });
+      scope.$applyAsync(scope => { (scope: any).b = 2; });
+      mock.flush();
+      expect(listenerFn).to.have.been.calledWith(1);
+      expect((scope: any).b).to.equal(2);
+      mock.verifyNoPendingTasks();
+      return promise.then(() => {
+        scope.$digest();
+      });
+    });
 
-      child.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+    it('rejects when the TTL is exhausted', function () {
+      scope.$watch(() => ({}));
 
-      (scope: any).arr.push(3);
-      child.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      const promise = scope.$digestIncremental();
+      mock.flush();
+      return promise.then(() => {
+        throw new Error('should have been rejected');
+      }, err => {
+        expect(err.message).to.contain('Max digest iterations reached (10)');
+        expect(scope.$$phase).to.be.null;
+      });
     });
 
-    it('can be nested at any depth', function () {
-      const c1 = scope.$new();
-      const c2 = scope.$new();
-      const c1c1 = c1.$new();
-      const c1c2 = c1.$new();
-      const c2c1 = c2.$new();
-
-      (scope: any).someValue = 233;
-      expect((c1: any).someValue).to.equal(233);
-      expect((c2: any).someValue).to.equal(233);
-      expect((c1c1: any).someValue).to.equal(233);
-      expect((c1c2: any).someValue).to.equal(233);
-      expect((c2c1: any).someValue).to.equal(233);
+    it('digests everything in one chunk within a large budget', function () {
+      _.times(10, i => scope.$watch(_.constant(i)));
 
-      (c2: any).anotherValue = 256;
-      expect((c2c1: any).anotherValue).to.equal(256);
-      expect((c1: any).anotherValue).to.be.undefined;
-      expect((c1c1: any).anotherValue).to.be.undefined;
-      expect((c1c2: any).anotherValue).to.be.undefined;
+      const promise = scope.$digestIncremental({ budget: 1000 });
+      expect(mock.clock.pending()).to.equal(0);
+      return promise;
     });
+  });
 
-    it('shadows parent\'s property with the same name', function () {
+  describe('#$suspend', function () {
+    it('skips the watchers of a suspended scope and its descendants', function () {
       const child = scope.$new();
+      const grandChild = child.$new(true);
+      const sibling = scope.$new();
+      const childListener = sinon.spy();
+      const grandChildListener = sinon.spy();
+      const siblingListener = sinon.spy();
+      child.$watch(_.constant(1), childListener);
+      grandChild.$watch(_.constant(1), grandChildListener);
+      sibling.$watch(_.constant(1), siblingListener);
 
-      (scope: any).someValue = 233;
-      (child: any).someValue = 256;
-
-      expect((scope: any).someValue).to.equal(233);
-      expect((child: any).someValue).to.equal(256);
+      child.$suspend();
+      scope.$digest();
+      child.$digest();
+      expect(child.$isSuspended()).to.be.true;
+      expect(grandChild.$isSuspended()).to.be.false;
+      expect(childListener).to.have.not.been.called;
+      expect(grandChildListener).to.have.not.been.called;
+      expect(siblingListener).to.have.been.calledOnce;
     });
 
-    it('does not deeply shadow parents\'s properties', function () {
+    it('does not make new children suspended', function () {
+      scope.$suspend();
       const child = scope.$new();
+      expect(child.$isSuspended()).to.be.false;
+    });
 
-      (scope: any).user = { name: 'Aji' };
-      (child: any).user.name = 'Keal';
+    it('still propagates events through suspended scopes', function () {
+      const child = scope.$new();
+      const grandChild = child.$new();
+      const listener = sinon.spy();
+      grandChild.$on('aEvent', listener);
+      scope.$on('bEvent', listener);
 
-      expect((child: any).user.name).to.equal('Keal');
-      expect((scope: any).user.name).to.equal('Keal');
+      child.$suspend();
+      scope.$broadcast('aEvent');
+      grandChild.$emit('bEvent');
+      expect(listener).to.have.been.calledTwice;
     });
 
-    it('does not digest its parent', function () {
+    it('digests the subtree again on $resume', function () {
+      const mock = mockScope(scope);
       const child = scope.$new();
       const listenerFn = sinon.spy();
+      child.$watch('someValue', listenerFn);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
 
+      child.$suspend();
       (scope: any).someValue = 233;
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledOnce;
 
-      child.$digest();
-      expect(listenerFn).to.have.not.been.called;
+      child.$resume();
+      expect(child.$isSuspended()).to.be.false;
+      mock.flush();
+      expect(listenerFn).to.have.been.calledTwice;
+      expect(listenerFn).to.have.been.calledWith(233);
     });
+  });
 
-    it('keeps a record of its children', function () {
-      const child1 = scope.$new();
-      const child2 = scope.$new();
-      const child2child1 = child2.$new();
-
-      expect(scope.$$children).to.have.lengthOf(2);
-      expect(scope.$$children[0]).to.equal(child1);
-      expect(scope.$$children[1]).to.equal(child2);
-
-      expect(child1.$$children).to.have.lengthOf(0);
-      expect(child2.$$children).to.have.lengthOf(1);
-      expect(child2.$$children[0]).to.equal(child2child1);
+  describeWithProxy('proxy change detection', function () {
+    beforeEach(function () {
+      scope = new Scope({ changeDetection: 'proxy', profile: true });
     });
 
-    it('digests its children', function () {
-      (scope: any).someValue = 233;
-      const child = scope.$new();
-      const listenerFn = sinon.spy();
+    function evaluations(exp: string): number {
+      const report = scope.$profileReport();
+      return report ? _.find(report.cumulative, { exp }).evaluations : 0;
+    }
 
-      child.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+    it('only evaluates watchers whose dependencies were written', function () {
+      _.assign(scope, { a: 1, b: 2 });
+      scope.$watch('a', () => {});
+      scope.$watch('b', () => {});
+      scope.$digest();
+      expect(evaluations('a')).to.equal(1);
+      expect(evaluations('b')).to.equal(1);
 
+      (scope: any).a = 2;
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect(evaluations('a')).to.equal(2);
+      expect(evaluations('b')).to.equal(1);
     });
 
-    it('digests from root when $apply', function () {
-      (scope: any).someValue = 233;
-      const child1 = scope.$new();
-      const child1child1 = child1.$new();
+    it('notices writes to nested objects assigned to the scope', function () {
       const listenerFn = sinon.spy();
+      (scope: any).user = { name: 'aji' };
+      scope.$watch('user.name', listenerFn);
+      scope.$digest();
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
-
-      child1child1.$apply(() => {});
-      expect(listenerFn).to.have.been.calledOnce;
+      (scope: any).user.name = 'keal';
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledWith('keal', 'aji');
     });
 
-    it('schedules a digest from root on $evalAsync', function (done) {
-      (scope: any).someValue = 233;
-      const child1 = scope.$new();
-      const child1child1 = child1.$new();
+    it('works with $watchCollection', function () {
       const listenerFn = sinon.spy();
+      (scope: any).arr = [1, 2];
+      (scope: any).obj = { a: 1 };
+      scope.$watchCollection('arr', listenerFn);
+      scope.$watchCollection('obj', listenerFn);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
+      (scope: any).arr.push(3);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledThrice;
 
-      child1child1.$evalAsync(() => {});
-      setTimeout(() => {
-        expect(listenerFn).to.have.been.calledOnce;
-        done();
-      }, 10);
+      (scope: any).obj.b = 2;
+      scope.$digest();
+      expect(listenerFn).to.have.callCount(4);
     });
 
-    it('does not have access to parent scope attributes when isolated', function () {
-      (scope: any).someValue = 233;
-      const child = scope.$new(true);
+    it('works with $watchGroup', function (done) {
+      _.assign(scope, { a: 1, b: 2 });
+      const gotValues = [];
+      scope.$watchGroup([scope => scope.a, scope => scope.b], newValues => {
+        gotValues.push(_.clone(newValues));
+      });
+      scope.$digest();
 
-      expect((child: any).someValue).to.be.undefined;
+      (scope: any).b = 3;
+      scope.$digest();
+      expect(gotValues).to.deep.equal([[1, 2], [1, 3]]);
+      done();
     });
 
-    it('digests its isolated children', function () {
-      const child = scope.$new(true);
-      (child: any).someValue = 233;
+    it('tracks writes on child scopes', function () {
       const listenerFn = sinon.spy();
+      const child = scope.$new();
+      const isolated = scope.$new(true);
+      (scope: any).a = 1;
+      child.$watch('a', listenerFn);
+      isolated.$watch('b', listenerFn);
+      scope.$digest();
 
-      child.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
-
+      (child: any).a = 2;
+      (isolated: any).b = 3;
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect(listenerFn).to.have.been.calledWith(2, 1);
+      expect(listenerFn).to.have.been.calledWith(3, undefined);
+      expect((scope: any).a).to.equal(1);
     });
 
-    it('digests from root on $apply when isolated', function () {
-      (scope: any).someValue = 233;
-      const child1 = scope.$new(true);
-      const child1child1 = child1.$new();
+    it('falls back to dirty checking for values that cannot be observed', function () {
       const listenerFn = sinon.spy();
+      (scope: any).map = new Map();
+      scope.$watch(scope => scope.map.size, listenerFn);
+      scope.$digest();
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
-
-      child1child1.$apply(() => {});
-      expect(listenerFn).to.have.been.calledOnce;
+      (scope: any).map.set('a', 1);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledWith(1, 0);
     });
 
-    it('schedules a digest from root on $evalAsync when isolated', function (done) {
-      (scope: any).someValue = 233;
-      const child1 = scope.$new(true);
-      const child1child1 = child1.$new();
+    it('falls back to dirty checking for deep watchers', function () {
       const listenerFn = sinon.spy();
+      (scope: any).arr = [1];
+      scope.$watch('arr', listenerFn, true);
+      scope.$digest();
 
-      scope.$watch(
-        scope => (scope: any).someValue,
-        listenerFn
-      );
-
-      child1child1.$evalAsync(() => {});
-      setTimeout(() => {
-        expect(listenerFn).to.have.been.calledOnce;
-        done();
-      }, 10);
-    });
-
-    it('executes $evalAsync functions on isolated scopes', function (done) {
-      const child = scope.$new(true);
-      const evalFn = sinon.spy();
-
-      child.$evalAsync(evalFn);
-      setTimeout(() => {
-        expect(evalFn).to.have.been.calledOnce;
-        done();
-      }, 10);
+      (scope: any).arr.push(2);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
     });
 
-    it('executes $$postDigest functions on isolated scopes', function () {
-      const child = scope.$new(true);
-      const postDigestFn = sinon.spy();
-
-      child.$$postDigest(postDigestFn);
+    it('hands out the objects and arrays assigned to the scope', function () {
+      const listenerFn = sinon.spy();
+      const item = { id: 1 };
+      const list = [item];
+      _.assign(scope, { item, list });
+      scope.$watchCollection('list', listenerFn);
       scope.$digest();
 
-      expect(postDigestFn).to.have.been.calledOnce;
+      expect((scope: any).item).to.equal(item);
+      expect((scope: any).list).to.equal(list);
+      expect((scope: any).list.indexOf(item)).to.equal(0);
+      expect((scope.$new(): any).list).to.equal(list);
+      expect(listenerFn.firstCall.args[0]).to.equal(list);
     });
 
-    it('coalesces $applyAsync functions in isolated scopes', function (done) {
-      const child1 = scope.$new(true);
-      const child2 = scope.$new(true);
-      const watchFn = sinon.spy();
-
-      child1.$watch(watchFn);
-      child1.$applyAsync(scope => { (scope: any).someValue = 233; });
-      child2.$applyAsync(scope => { (scope: any).someValue = 256; });
-
-      setTimeout(() => {
-        expect(watchFn).to.have.been.calledTwice;
-        done();
-      }, 10);
+    it('hands out scopes as the observed scopes', function () {
+      const child = scope.$new();
+      expect(child.$parent).to.equal(scope);
+      expect(child.$root).to.equal(scope);
+      expect(scope.$$children[0]).to.equal(child);
     });
 
-    it('can take some other scope as the parent', function () {
-      const anotherScope = new Scope();
-      const child = scope.$new(false, anotherScope);
-      const childWatcherFn = sinon.spy();
-
-      (scope: any).someValue = 233;
-      expect((child: any).someValue).to.equal(233);
+    it('dirty checks objects mutated through references kept outside the scope', function () {
+      const listenerFn = sinon.spy();
+      const arr = [1];
+      const user = { name: 'aji' };
+      _.assign(scope, { arr, user });
+      scope.$watchCollection('arr', listenerFn);
+      scope.$watch('user.name', listenerFn);
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledTwice;
 
-      child.$watch(childWatcherFn);
+      arr.push(2);
+      user.name = 'keal';
+      scope.$digest();
+      expect(listenerFn).to.have.callCount(4);
+      expect(listenerFn).to.have.been.calledWith('keal', 'aji');
+    });
 
+    it('dirty checks watch functions, which may read closure state', function () {
+      const listenerFn = sinon.spy();
+      let ext = 1;
+      (scope: any).a = 1;
+      scope.$watch(scope => scope.a + ext, listenerFn);
       scope.$digest();
-      expect(childWatcherFn).to.have.not.been.called;
 
-      anotherScope.$digest();
-      expect(childWatcherFn).to.have.been.calledTwice;
+      ext = 2;
+      scope.$digest();
+      expect(listenerFn).to.have.been.calledWith(3, 2);
     });
 
-    it('not longer digests after $destroy', function () {
-      const child = scope.$new();
+    it('dirty checks expressions calling functions', function () {
       const listenerFn = sinon.spy();
+      let ext = 1;
+      (scope: any).getValue = () => ext;
+      scope.$watch('getValue()', listenerFn);
+      scope.$digest();
 
-      (child: any).arr = [0, 1, 2];
-      child.$watch(
-        scope => (scope: any).arr,
-        listenerFn,
-        true
-      );
-
+      ext = 2;
       scope.$digest();
-      expect(listenerFn).to.have.been.calledOnce;
+      expect(listenerFn).to.have.been.calledWith(2, 1);
+    });
 
-      (child: any).arr.push(3);
+    it('stops listening when a watcher is removed', function () {
+      const unwatch = scope.$watch('a', () => {});
       scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      unwatch();
+      const watcher = _.find(scope.$profileReport().cumulative, { exp: 'a' });
 
-      child.$destroy();
-      (child: any).arr.push(4);
+      (scope: any).a = 1;
       scope.$digest();
-      expect(listenerFn).to.have.been.calledTwice;
+      expect(_.find(scope.$profileReport().cumulative, { exp: 'a' })).to.deep.equal(watcher);
     });
   });
 
@@ -0,0 +1,118 @@
+/* @flow */
+/* eslint-env mocha */
+import { expect } from 'chai';
+import _ from 'lodash';
+import sinon from 'sinon';
+import { observe, trackReads, hasChanged, subscribe } from '../src/tracking';
+
+const describeWithProxy = typeof Proxy === 'function' ? describe : describe.skip;
+
+describeWithProxy('dependency tracking', function () {
+  const observable = value => _.isArray(value) || _.isPlainObject(value);
+
+  it('returns the value of the function', function () {
+    const { value } = trackReads({ a: 1 }, target => target.a + 1, observable);
+    expect(value).to.equal(2);
+  });
+
+  it('detects changes of the properties read', function () {
+    const target = { a: 1, b: 2 };
+    const { tracker } = trackReads(target, t => t.a, observable);
+    expect(hasChanged(tracker)).to.be.false;
+
+    target.b = 3;
+    expect(hasChanged(tracker)).to.be.false;
+
+    target.a = 2;
+    expect(hasChanged(tracker)).to.be.true;
+  });
+
+  it('follows nested objects and arrays', function () {
+    const target = { user: { name: 'aji' }, items: [1, 2] };
+    const { tracker } = trackReads(target, t => t.user.name + t.items.length, observable);
+
+    target.items.push(3);
+    expect(hasChanged(tracker)).to.be.true;
+
+    const next = trackReads(target, t => t.user.name, observable).tracker;
+    target.user.name = 'keal';
+    expect(hasChanged(next)).to.be.true;
+  });
+
+  it('detects added and removed keys when keys are enumerated', function () {
+    const target = { obj: { a: 1 } };
+    const { tracker } = trackReads(target, t => _.keys(t.obj), observable);
+
+    target.obj.b = 2;
+    expect(hasChanged(tracker)).to.be.true;
+  });
+
+  it('detects changes of the in operator', function () {
+    const target = {};
+    const { tracker } = trackReads(target, t => 'a' in t, observable);
+
+    target.a = 1;
+    expect(hasChanged(tracker)).to.be.true;
+  });
+
+  it('returns unwrapped objects', function () {
+    const target = { obj: {} };
+    const { value } = trackReads(target, t => t.obj, observable);
+    expect(value).to.equal(target.obj);
+  });
+
+  it('gives up tracking when reading unobservable objects', function () {
+    const target = { map: new Map() };
+    const { tracker } = trackReads(target, t => t.map.size, observable);
+    expect(hasChanged(tracker)).to.be.true;
+  });
+
+  it('supports frozen properties', function () {
+    const target = Object.freeze({ obj: { a: 1 } });
+    const { value } = trackReads(target, t => t.obj, observable);
+    expect(value).to.equal(target.obj);
+  });
+
+  describe('reactive objects', function () {
+    it('notifies subscribers when a property read is written', function () {
+      const target = observe({ a: 1, b: 2 }, observable);
+      const callback = sinon.spy();
+      subscribe(trackReads(target, t => t.a, observable).tracker, callback);
+
+      target.b = 3;
+      expect(callback).to.have.not.been.called;
+
+      target.a = 2;
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('observes objects read through them', function () {
+      const target = observe({ user: { name: 'aji' } }, observable);
+      const callback = sinon.spy();
+      subscribe(trackReads(target, t => t.user.name, observable).tracker, callback);
+
+      target.user.name = 'keal';
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('notifies key enumerations when keys are added or deleted', function () {
+      const target = observe({ obj: { a: 1 } }, observable);
+      const callback = sinon.spy();
+      subscribe(trackReads(target, t => _.keys(t.obj), observable).tracker, callback);
+
+      target.obj.b = 2;
+      delete target.obj.a;
+      expect(callback).to.have.been.calledTwice;
+    });
+
+    it('stops notifying after unsubscribing', function () {
+      const target = observe({ a: 1 }, observable);
+      const callback = sinon.spy();
+      const unsubscribe = subscribe(trackReads(target, t => t.a, observable).tracker, callback);
+
+      unsubscribe();
+      target.a = 2;
+      expect(callback).to.have.not.been.called;
+    });
+  });
+});